@@ -4,85 +4,552 @@
  * Survivor Science Podcast Archive - Static Site Generator
  *
  * Usage:
- *   node build.js                    # Fetch from Buzzsprout RSS URL
- *   node build.js --file feed.rss    # Read from local RSS file
+ *   node build.js                    # Fetch the RSS feed named in site.config.json
+ *   node build.js --file feed.rss    # Read the main feed from a local RSS file
+ *   node build.js --mirror-base URL  # Point feed.xml enclosures at a copy of media/ at URL
+ *   node build.js --mirror           # Download audio and artwork into media/
+ *   node build.js --media-dir DIR    # Mirror into DIR (inside the site) instead
+ *   node build.js --force            # Ignore the build cache and rewrite every page
+ *   node build.js --cached           # Reuse cached feeds, transcripts and chapters without network requests
+ *   node build.js --player native    # Use the built-in audio player, not the Buzzsprout iframe; only it
+ *                                    # records listening progress (the iframe is cross-origin)
+ *   node build.js --base-url URL     # Site URL for canonical links (defaults to siteUrl, then https://<CNAME>)
+ *   node build.js --config FILE      # Site config to use instead of site.config.json
+ *   node build.js --seed-metadata    # Guess guests/topics for episodes missing from episode-metadata.json
+ *   node build.js --theme DIR        # Override layout partials (nav.html, footer.js, ...) from DIR (default theme/)
+ *   node build.js --check            # Check the generated pages for broken links, missing assets and bad HTML,
+ *                                    # and the API files against api/schema.json (no build)
+ *   node build.js --serve            # Build, serve on http://localhost:8080, rebuild on changes and live-reload
+ *   node build.js --serve --port N   # Serve on another port
+ *
+ * The show name (and former names), feed URL, platform and social links, footer
+ * blurb, About page (Markdown) and extra timeline milestones for stats.html come
+ * from site.config.json. Transcripts come from the feed's
+ * <podcast:transcript> tags, or from transcripts/<episode>.srt|.vtt|.json, which
+ * take precedence. Guests and topics come from episode-metadata.json, keyed by
+ * episode number (or slug, for unnumbered episodes). episode-slugs.json keeps
+ * each episode's URL stable across feed edits; the build updates it, so commit it.
+ * Extra sources in the config's "feeds" (RSS by URL or file, or a JSON/YAML list
+ * of hand-kept episodes) are merged into the main feed; duplicates are combined
+ * and any fields the sources disagree on are reported.
+ * Besides the pages, the build writes feed.xml, a JSON Feed (feed.json) and, for
+ * other tools, api/episodes.json, api/episodes/<slug>.json and api/episodes.csv,
+ * described by api/schema.json.
+ * Each episode also gets a share image, images/cards/<slug>.png, drawn from the
+ * show artwork (or mirrored episode artwork) without native modules or network.
+ * Tests: node --test test/ (fixtures in test/fixtures/).
  */
 
 const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
 
-const RSS_URL = 'https://www.buzzsprout.com/2117363.rss';
 const OUTPUT_DIR = __dirname;
 
+// ─── Site Configuration ─────────────────────────────────────────────────────
+
+const CONFIG_PATH = path.join(OUTPUT_DIR, 'site.config.json');
+const LISTEN_PLATFORMS = ['apple', 'spotify', 'rss'];
+const SOCIAL_NETWORKS = ['twitter', 'linkedin', 'tiktok', 'instagram', 'youtube'];
+
+// Loaded by build(); templates read show names and links from here
+let site = null;
+
+// Every problem in the file at once, as "key: what's wrong"
+function validateSiteConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['the file must contain a JSON object'];
+  const errors = [];
+  const isText = value => typeof value === 'string' && value.trim() !== '';
+  const isURL = value => typeof value === 'string' && /^https?:\/\/[^\s/]+\S*$/.test(value);
+  const isPattern = (value) => {
+    try {
+      return isText(value) && Boolean(new RegExp(value));
+    } catch (err) {
+      return false;
+    }
+  };
+  const check = (key, value, test, expected, { optional = false } = {}) => {
+    if (value === undefined) {
+      if (!optional) errors.push(`${key}: missing (expected ${expected})`);
+    } else if (!test(value)) {
+      errors.push(`${key}: expected ${expected}, got ${JSON.stringify(value)}`);
+    }
+  };
+  const checkLinks = (key, field, allowed) => {
+    check(key, config[key], Array.isArray, 'an array');
+    if (!Array.isArray(config[key])) return;
+    config[key].forEach((entry, i) => {
+      check(`${key}[${i}].${field}`, entry && entry[field], value => allowed.includes(value), `one of ${allowed.join(', ')}`);
+      check(`${key}[${i}].url`, entry && entry.url, isURL, 'an http(s) URL');
+    });
+  };
+
+  check('siteName', config.siteName, isText, 'a non-empty string');
+  check('showName', config.showName, isText, 'a non-empty string');
+  check('rssUrl', config.rssUrl, isURL, 'an http(s) URL');
+  check('siteUrl', config.siteUrl, isURL, 'an http(s) URL', { optional: true });
+  check('buzzsproutShowId', config.buzzsproutShowId, value => /^\d+$/.test(String(value)), 'a numeric Buzzsprout show ID', { optional: true });
+  check('mainSiteUrl', config.mainSiteUrl, isURL, 'an http(s) URL');
+  check('contactUrl', config.contactUrl, isURL, 'an http(s) URL');
+  checkLinks('listenOn', 'platform', LISTEN_PLATFORMS);
+  checkLinks('social', 'network', SOCIAL_NETWORKS);
+  check('footerText', config.footerText, isText, 'Markdown text');
+  check('showNotesBoilerplate', config.showNotesBoilerplate, value => Array.isArray(value) && value.every(isPattern),
+    'an array of regular expressions', { optional: true });
+  check('formerNames', config.formerNames, value => Array.isArray(value) && value.every(isText),
+    'an array of names the show used before', { optional: true });
+  check('milestones', config.milestones, Array.isArray, 'an array', { optional: true });
+  if (Array.isArray(config.milestones)) {
+    config.milestones.forEach((milestone, i) => {
+      check(`milestones[${i}].date`, milestone && milestone.date, value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value)), 'a YYYY-MM-DD date');
+      check(`milestones[${i}].title`, milestone && milestone.title, isText, 'a non-empty string');
+      check(`milestones[${i}].description`, milestone && milestone.description, isText, 'Markdown text', { optional: true });
+    });
+  }
+  check('feeds', config.feeds, Array.isArray, 'an array of extra feed sources', { optional: true });
+  if (Array.isArray(config.feeds)) {
+    const names = new Set(['main']);
+    config.feeds.forEach((source, i) => {
+      const key = `feeds[${i}]`;
+      if (!source || typeof source !== 'object') {
+        errors.push(`${key}: expected an object with "name" and one of "url", "file" or "episodes"`);
+        return;
+      }
+      check(`${key}.name`, source.name, value => /^[a-z0-9-]+$/.test(value) && !names.has(value), 'a unique lowercase name other than "main"');
+      names.add(source.name);
+      check(`${key}.label`, source.label, isText, 'a non-empty string', { optional: true });
+      if (['url', 'file', 'episodes'].filter(field => source[field] !== undefined).length !== 1) {
+        errors.push(`${key}: expected exactly one of "url", "file" or "episodes"`);
+      }
+      check(`${key}.url`, source.url, isURL, 'an http(s) URL', { optional: true });
+      check(`${key}.file`, source.file, isText, 'a path to an RSS file', { optional: true });
+      check(`${key}.episodes`, source.episodes, value => isText(value) && /\.(json|ya?ml)$/i.test(value),
+        'a path to a .json, .yaml or .yml episode list', { optional: true });
+    });
+  }
+  check('about', config.about, value => value && typeof value === 'object', 'an object with "file" and "description"');
+  if (config.about && typeof config.about === 'object') {
+    check('about.file', config.about.file, isText, 'a path to a Markdown file');
+    check('about.description', config.about.description, isText, 'a non-empty string');
+  }
+  return errors;
+}
+
+function loadSiteConfig(configPath) {
+  const name = path.relative(process.cwd(), configPath) || configPath;
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`${name}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`);
+  }
+
+  const errors = validateSiteConfig(config);
+  if (errors.length) throw new Error(`${name} is invalid:\n  - ${errors.join('\n  - ')}`);
+
+  // about.file is relative to the config file
+  const aboutPath = path.resolve(path.dirname(configPath), config.about.file);
+  if (!fs.existsSync(aboutPath)) throw new Error(`${name} is invalid:\n  - about.file: ${config.about.file} not found`);
+  // So are the files behind extra feed sources
+  const missing = [];
+  const feeds = (config.feeds || []).map((source, i) => {
+    const resolved = { ...source };
+    for (const field of ['file', 'episodes']) {
+      if (!source[field]) continue;
+      resolved[field] = path.resolve(path.dirname(configPath), source[field]);
+      if (!fs.existsSync(resolved[field])) missing.push(`feeds[${i}].${field}: ${source[field]} not found`);
+    }
+    return resolved;
+  });
+  if (missing.length) throw new Error(`${name} is invalid:\n  - ${missing.join('\n  - ')}`);
+  return { ...config, feeds, aboutPath, aboutMarkdown: fs.readFileSync(aboutPath, 'utf-8') };
+}
+
+// Load the config the templates read from; build() does this first
+function useSiteConfig(configPath) {
+  site = loadSiteConfig(configPath);
+  return site;
+}
+
+// ─── Markdown ───────────────────────────────────────────────────────────────
+// Enough for hand-written page copy: headings, paragraphs, lists, quotes,
+// emphasis, inline code and links. Raw HTML is escaped, not passed through.
+
+function markdownInline(text) {
+  return escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => {
+      const external = /^https?:/.test(href) ? ' target="_blank" rel="noopener"' : '';
+      return `<a href="${href}"${external}>${label}</a>`;
+    })
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*\w])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+function renderMarkdown(markdown) {
+  return markdown.replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).map(block => {
+    const lines = block.split('\n');
+    const heading = block.match(/^(#{1,6})\s+(.*)$/);
+    if (heading && lines.length === 1) return `<h${heading[1].length}>${markdownInline(heading[2])}</h${heading[1].length}>`;
+    if (lines.every(line => /^\s*[-*+]\s+/.test(line))) {
+      return `<ul>${lines.map(line => `<li>${markdownInline(line.replace(/^\s*[-*+]\s+/, ''))}</li>`).join('')}</ul>`;
+    }
+    if (lines.every(line => /^\s*\d+[.)]\s+/.test(line))) {
+      return `<ol>${lines.map(line => `<li>${markdownInline(line.replace(/^\s*\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+    }
+    if (lines.every(line => /^>/.test(line))) {
+      return `<blockquote>${renderMarkdown(lines.map(line => line.replace(/^>\s?/, '')).join('\n'))}</blockquote>`;
+    }
+    return `<p>${lines.map(markdownInline).join('\n')}</p>`;
+  }).join('\n\n');
+}
+
 // ─── RSS Fetching ───────────────────────────────────────────────────────────
 
-function fetchURL(url) {
+// Resolves { body, etag, lastModified }, or { notModified: true } when the
+// validators passed in `headers` (If-None-Match / If-Modified-Since) still match
+function fetchURL(url, headers = {}) {
   return new Promise((resolve, reject) => {
     const client = url.startsWith('https') ? https : http;
-    client.get(url, { headers: { 'User-Agent': 'SurvivorScienceArchiveBuilder/1.0' } }, (res) => {
+    client.get(url, { headers: { 'User-Agent': 'SurvivorScienceArchiveBuilder/1.0', ...headers } }, (res) => {
       if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchURL(res.headers.location).then(resolve).catch(reject);
+        res.resume();
+        return fetchURL(new URL(res.headers.location, url).href, headers).then(resolve).catch(reject);
+      }
+      if (res.statusCode === 304) {
+        res.resume();
+        return resolve({ notModified: true });
       }
       if (res.statusCode !== 200) {
         return reject(new Error(`HTTP ${res.statusCode} from ${url}`));
       }
       let data = '';
+      res.setEncoding('utf8');
       res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
+      res.on('end', () => resolve({
+        body: data,
+        etag: res.headers.etag || '',
+        lastModified: res.headers['last-modified'] || '',
+      }));
       res.on('error', reject);
     }).on('error', reject);
   });
 }
 
-// ─── XML Parsing (simple, no dependencies) ──────────────────────────────────
+// ─── XML Parsing (streaming tokenizer, no dependencies) ─────────────────────
+
+const XML_NAMESPACES = {
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  itunes: 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+  podcast: 'https://podcastindex.org/namespace/1.0',
+  content: 'http://purl.org/rss/1.0/modules/content/',
+  atom: 'http://www.w3.org/2005/Atom',
+};
+
+// Older feeds still declare the Podcasting 2.0 namespace by its GitHub URL
+const XML_NAMESPACE_ALIASES = {
+  'https://github.com/Podcastindex-org/podcast-namespace/blob/main/docs/1.0.md': XML_NAMESPACES.podcast,
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
 
-function getTagContent(xml, tag) {
-  const regex = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'i');
-  const match = xml.match(regex);
-  return match ? match[1].trim() : '';
+const XML_NAME = /^[A-Za-z_][\w.-]*(:[A-Za-z_][\w.-]*)?$/;
+
+function xmlError(message, line, column) {
+  const err = new Error(`Malformed feed: ${message} at line ${line}, column ${column}`);
+  err.line = line;
+  err.column = column;
+  return err;
 }
 
-function getCDATA(text) {
-  const match = text.match(/<!\[CDATA\[([\s\S]*?)\]\]>/);
-  return match ? match[1].trim() : text.replace(/<[^>]+>/g, '').trim();
+// Line/column reached after reading `text` starting from (line, column)
+function xmlPosition(line, column, text) {
+  const lastNewline = text.lastIndexOf('\n');
+  if (lastNewline === -1) return { line, column: column + text.length };
+  return { line: line + text.split('\n').length - 1, column: text.length - lastNewline };
 }
 
-function getAttr(xml, tag, attr) {
-  const regex = new RegExp(`<${tag}[^>]*\\s${attr}=["']([^"']*)["']`, 'i');
-  const match = xml.match(regex);
-  return match ? match[1] : '';
+function decodeXMLEntities(text, line, column) {
+  return text.replace(/&([^;&<\s]*);?/g, (match, ref, offset) => {
+    const at = () => xmlPosition(line, column, text.slice(0, offset));
+    if (!match.endsWith(';')) {
+      const { line: l, column: c } = at();
+      throw xmlError(`unescaped "&"`, l, c);
+    }
+    let code;
+    if (/^#x[0-9a-f]+$/i.test(ref)) code = parseInt(ref.slice(2), 16);
+    else if (/^#\d+$/.test(ref)) code = parseInt(ref.slice(1), 10);
+    else if (XML_ENTITIES[ref]) return XML_ENTITIES[ref];
+    if (code === undefined || code > 0x10ffff) {
+      const { line: l, column: c } = at();
+      throw xmlError(`unknown entity "${match}"`, l, c);
+    }
+    return String.fromCodePoint(code);
+  });
 }
 
-function getAllItems(xml) {
-  const items = [];
-  const regex = /<item>([\s\S]*?)<\/item>/gi;
-  let match;
-  while ((match = regex.exec(xml)) !== null) {
-    items.push(match[1]);
+// Index of the ">" closing the tag that starts at `start`, skipping quoted attribute values
+function findTagEnd(buffer, start) {
+  let quote = null;
+  for (let i = start + 1; i < buffer.length; i++) {
+    const ch = buffer[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function parseTag(raw, line, column) {
+  const selfClosing = raw.endsWith('/>');
+  const body = raw.slice(1, selfClosing ? -2 : -1);
+  const nameMatch = body.match(/^[^\s/>]+/);
+  const name = nameMatch ? nameMatch[0] : '';
+  if (!XML_NAME.test(name)) throw xmlError(`invalid tag name "${name}"`, line, column + 1);
+
+  const attrs = {};
+  const attrRegex = /\s+([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/y;
+  let pos = name.length;
+  while (pos < body.length) {
+    if (/^\s*$/.test(body.slice(pos))) break;
+    attrRegex.lastIndex = pos;
+    const match = attrRegex.exec(body);
+    const { line: l, column: c } = xmlPosition(line, column + 1, body.slice(0, pos));
+    if (!match) throw xmlError(`expected a quoted attribute in <${name}>`, l, c);
+    const [, attrName, doubleQuoted, singleQuoted] = match;
+    const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+    if (!XML_NAME.test(attrName)) throw xmlError(`invalid attribute name "${attrName}"`, l, c);
+    if (attrName in attrs) throw xmlError(`duplicate attribute "${attrName}" in <${name}>`, l, c);
+    if (value.includes('<')) throw xmlError(`"<" in value of attribute "${attrName}"`, l, c);
+    attrs[attrName] = decodeXMLEntities(value, l, c);
+    pos = attrRegex.lastIndex;
+  }
+  return { type: 'open', name, attrs, selfClosing, line, column };
+}
+
+/**
+ * Streaming XML tokenizer. Feed it chunks with write() and call end() once;
+ * onToken receives open/close/text/cdata tokens with their line and column.
+ * Comments, processing instructions and the DOCTYPE are skipped.
+ */
+function createXMLTokenizer(onToken) {
+  let buffer = '';
+  let line = 1;
+  let column = 1;
+
+  function consume(text) {
+    ({ line, column } = xmlPosition(line, column, text));
+  }
+
+  function run(final) {
+    let pos = 0;
+    while (pos < buffer.length) {
+      if (buffer[pos] !== '<') {
+        let end = buffer.indexOf('<', pos);
+        if (end === -1) {
+          if (!final) break;
+          end = buffer.length;
+        }
+        const raw = buffer.slice(pos, end);
+        onToken({ type: 'text', value: decodeXMLEntities(raw, line, column), line, column });
+        consume(raw);
+        pos = end;
+        continue;
+      }
+
+      // Wait for enough input to tell "<!--", "<![CDATA[" and "<!DOCTYPE" apart
+      if (!final && buffer.length - pos < 9) break;
+
+      let end;
+      let token = null;
+      if (buffer.startsWith('<!--', pos)) {
+        end = buffer.indexOf('-->', pos + 4);
+        if (end !== -1) end += 3;
+      } else if (buffer.startsWith('<![CDATA[', pos)) {
+        end = buffer.indexOf(']]>', pos + 9);
+        if (end !== -1) {
+          token = { type: 'cdata', value: buffer.slice(pos + 9, end), line, column };
+          end += 3;
+        }
+      } else if (buffer.startsWith('<?', pos)) {
+        end = buffer.indexOf('?>', pos + 2);
+        if (end !== -1) end += 2;
+      } else if (buffer.startsWith('<!', pos)) {
+        // DOCTYPE, possibly with an internal subset in [...]
+        const bracket = buffer.indexOf('[', pos);
+        const close = buffer.indexOf('>', pos);
+        if (bracket !== -1 && close !== -1 && bracket < close) {
+          const subsetEnd = buffer.indexOf(']', bracket);
+          end = subsetEnd === -1 ? -1 : buffer.indexOf('>', subsetEnd);
+        } else {
+          end = close;
+        }
+        if (end !== -1) end += 1;
+      } else if (buffer[pos + 1] === '/') {
+        end = buffer.indexOf('>', pos);
+        if (end !== -1) {
+          const name = buffer.slice(pos + 2, end).trim();
+          if (!XML_NAME.test(name)) throw xmlError(`invalid closing tag "</${name}>"`, line, column);
+          token = { type: 'close', name, line, column };
+          end += 1;
+        }
+      } else {
+        end = findTagEnd(buffer, pos);
+        if (end !== -1) {
+          end += 1;
+          token = parseTag(buffer.slice(pos, end), line, column);
+        }
+      }
+
+      if (end === -1) {
+        if (!final) break;
+        throw xmlError('unterminated markup', line, column);
+      }
+      if (token) onToken(token);
+      consume(buffer.slice(pos, end));
+      pos = end;
+    }
+    buffer = buffer.slice(pos);
+  }
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      run(false);
+    },
+    end() {
+      run(true);
+      return { line, column };
+    },
+  };
+}
+
+/**
+ * Parse an XML document into a lightweight element tree. Each element has
+ * { name, ns, local, attrs, children, line, column }; text and CDATA become
+ * string children. Prefixes are resolved to namespace URIs so lookups work
+ * whatever prefix a feed happens to declare.
+ */
+function parseXML(xml) {
+  const document = { name: '#document', ns: '', local: '#document', attrs: {}, children: [], scope: { xml: XML_NAMESPACES.xml, '': '' } };
+  const stack = [document];
+  let root = null;
+
+  const tokenizer = createXMLTokenizer(token => {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === 'text' || token.type === 'cdata') {
+      if (parent === document) {
+        if (token.value.trim()) throw xmlError('text outside the root element', token.line, token.column);
+        return;
+      }
+      parent.children.push(token.value);
+      return;
+    }
+
+    if (token.type === 'close') {
+      if (parent === document) throw xmlError(`unexpected </${token.name}>`, token.line, token.column);
+      if (token.name !== parent.name) {
+        throw xmlError(`expected </${parent.name}> (opened at line ${parent.line}, column ${parent.column}) but found </${token.name}>`, token.line, token.column);
+      }
+      stack.pop();
+      delete parent.scope;
+      return;
+    }
+
+    if (parent === document && root) throw xmlError(`second root element <${token.name}>`, token.line, token.column);
+
+    const scope = Object.create(parent.scope);
+    for (const [attr, value] of Object.entries(token.attrs)) {
+      if (attr === 'xmlns') scope[''] = XML_NAMESPACE_ALIASES[value] || value;
+      else if (attr.startsWith('xmlns:')) scope[attr.slice(6)] = XML_NAMESPACE_ALIASES[value] || value;
+    }
+    const [prefix, local] = token.name.includes(':') ? token.name.split(':') : ['', token.name];
+    if (!(prefix in scope)) throw xmlError(`undeclared namespace prefix "${prefix}"`, token.line, token.column);
+
+    const element = {
+      name: token.name,
+      ns: scope[prefix],
+      local,
+      attrs: token.attrs,
+      children: [],
+      line: token.line,
+      column: token.column,
+      scope,
+    };
+    parent.children.push(element);
+    if (parent === document) root = element;
+    if (token.selfClosing) delete element.scope;
+    else stack.push(element);
+  });
+
+  tokenizer.write(xml);
+  const { line, column } = tokenizer.end();
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw xmlError(`<${open.name}> opened at line ${open.line}, column ${open.column} is never closed`, line, column);
   }
-  return items;
+  if (!root) throw xmlError('no root element', line, column);
+  return root;
+}
+
+// "itunes:episode" -> { ns: <itunes URI>, local: 'episode' }; unprefixed names have no namespace
+function xmlQName(qname) {
+  const [prefix, local] = qname.includes(':') ? qname.split(':') : ['', qname];
+  return { ns: prefix ? XML_NAMESPACES[prefix] : '', local };
+}
+
+function xmlChildren(node, qname) {
+  if (!node) return [];
+  const { ns, local } = xmlQName(qname);
+  return node.children.filter(child => typeof child !== 'string' && child.local === local && child.ns === ns);
+}
+
+function xmlChild(node, qname) {
+  return xmlChildren(node, qname)[0] || null;
+}
+
+// Concatenated text and CDATA of an element and its descendants
+function xmlText(node) {
+  if (!node) return '';
+  const collect = n => n.children.map(child => (typeof child === 'string' ? child : collect(child))).join('');
+  return collect(node).trim();
+}
+
+function xmlAttr(node, attr) {
+  return (node && node.attrs[attr]) || '';
 }
 
-function parseEpisode(itemXml) {
-  const title = getCDATA(getTagContent(itemXml, 'title'));
-  const description = getCDATA(getTagContent(itemXml, 'description'));
-  const pubDate = getTagContent(itemXml, 'pubDate');
-  const duration = getTagContent(itemXml, 'itunes:duration');
-  const episode = getTagContent(itemXml, 'itunes:episode');
-  const season = getTagContent(itemXml, 'itunes:season');
-  const explicit = getTagContent(itemXml, 'itunes:explicit');
-  const summary = getCDATA(getTagContent(itemXml, 'itunes:summary') || getTagContent(itemXml, 'description'));
+function parseEpisode(item) {
+  const title = xmlText(xmlChild(item, 'title'));
+  const description = xmlText(xmlChild(item, 'description'));
+  const pubDate = xmlText(xmlChild(item, 'pubDate'));
+  const duration = xmlText(xmlChild(item, 'itunes:duration'));
+  const episode = xmlText(xmlChild(item, 'itunes:episode'));
+  const season = xmlText(xmlChild(item, 'itunes:season'));
+  const explicit = xmlText(xmlChild(item, 'itunes:explicit'));
+  const summary = xmlText(xmlChild(item, 'itunes:summary')) || description;
 
   // Audio URL from enclosure
-  const audioUrl = getAttr(itemXml, 'enclosure', 'url');
+  const enclosure = xmlChild(item, 'enclosure');
+  const audioUrl = xmlAttr(enclosure, 'url');
 
   // Episode image
-  const episodeImage = getAttr(itemXml, 'itunes:image', 'href');
+  const episodeImage = xmlAttr(xmlChild(item, 'itunes:image'), 'href');
 
   // Buzzsprout episode ID from GUID or audio URL
-  const guid = getTagContent(itemXml, 'guid');
+  const guidNode = xmlChild(item, 'guid');
+  const guid = xmlText(guidNode);
   let buzzsproutId = '';
   const idMatch = audioUrl.match(/episodes\/(\d+)/);
   if (idMatch) buzzsproutId = idMatch[1];
@@ -106,16 +573,76 @@ function parseEpisode(itemXml) {
     episode: episodeNum,
     season: season || '1',
     explicit: explicit === 'true' || explicit === 'yes',
+    episodeType: xmlText(xmlChild(item, 'itunes:episodeType')) || 'full',
     audioUrl,
+    audioLength: xmlAttr(enclosure, 'length'),
+    audioType: xmlAttr(enclosure, 'type') || 'audio/mpeg',
     episodeImage,
+    transcripts: xmlChildren(item, 'podcast:transcript').map(node => ({
+      url: xmlAttr(node, 'url'),
+      type: xmlAttr(node, 'type'),
+      language: xmlAttr(node, 'language'),
+    })),
+    chaptersUrl: xmlAttr(xmlChild(item, 'podcast:chapters'), 'url'),
     buzzsproutId,
     guid,
+    // RSS 2.0: a guid is a permalink unless it says isPermaLink="false"
+    guidIsPermaLink: Boolean(guidNode) && xmlAttr(guidNode, 'isPermaLink') !== 'false',
+    link: xmlText(xmlChild(item, 'link')),
+  };
+}
+
+function parseFeed(rssContent) {
+  const rss = parseXML(rssContent);
+  const channel = xmlChild(rss, 'channel');
+  if (rss.local !== 'rss' || !channel) {
+    throw new Error(`Expected an RSS feed with <rss><channel>, found <${rss.name}>`);
+  }
+
+  const podcastMeta = {
+    title: xmlText(xmlChild(channel, 'title')) || 'Survivor Science',
+    description: xmlText(xmlChild(channel, 'description')) || 'Stroke recovery is brutal. It takes discipline, obsession, and endless hours of work.',
+    author: xmlText(xmlChild(channel, 'itunes:author')) || 'Will Schmierer',
+    image: xmlAttr(xmlChild(channel, 'itunes:image'), 'href') || '',
+    link: xmlText(xmlChild(channel, 'link')) || 'https://podcast.survivorscience.com',
+    language: xmlText(xmlChild(channel, 'language')) || 'en-us',
+    copyright: xmlText(xmlChild(channel, 'copyright')),
+    explicit: ['true', 'yes'].includes(xmlText(xmlChild(channel, 'itunes:explicit'))),
+    type: xmlText(xmlChild(channel, 'itunes:type')) || 'episodic',
+    categories: xmlChildren(channel, 'itunes:category').map(cat => ({
+      text: xmlAttr(cat, 'text'),
+      subcategories: xmlChildren(cat, 'itunes:category').map(sub => xmlAttr(sub, 'text')),
+    })),
+    owner: {
+      name: xmlText(xmlChild(xmlChild(channel, 'itunes:owner'), 'itunes:name')),
+      email: xmlText(xmlChild(xmlChild(channel, 'itunes:owner'), 'itunes:email')),
+    },
   };
+
+  const episodes = sortEpisodes(xmlChildren(channel, 'item').map(parseEpisode));
+
+  return { podcastMeta, episodes };
+}
+
+// Newest first: numbered episodes by number, unnumbered ones (trailers, bonus
+// episodes) slotted in by publish date, ties broken by guid so the order is stable
+function sortEpisodes(episodes) {
+  const time = ep => ep.date.getTime() || 0;
+  const newestFirst = (a, b) => time(b) - time(a) || episodeId(a).localeCompare(episodeId(b));
+  const isNumbered = ep => /^\d+$/.test(ep.episode);
+
+  const sorted = episodes.filter(isNumbered).sort((a, b) => b.episode - a.episode || newestFirst(a, b));
+  for (const ep of episodes.filter(ep => !isNumbered(ep)).sort(newestFirst)) {
+    const at = sorted.findIndex(other => time(other) < time(ep));
+    sorted.splice(at === -1 ? sorted.length : at, 0, ep);
+  }
+  return sorted;
 }
 
 function formatDuration(seconds) {
-  const s = parseInt(seconds, 10);
-  if (isNaN(s)) return seconds; // Already formatted as HH:MM:SS
+  // itunes:duration may already be [HH:]MM:SS
+  const s = String(seconds).includes(':') ? durationSeconds(seconds) : parseInt(seconds, 10);
+  if (isNaN(s)) return seconds;
   const h = Math.floor(s / 3600);
   const m = Math.floor((s % 3600) / 60);
   const sec = s % 60;
@@ -123,7 +650,21 @@ function formatDuration(seconds) {
   return `${m} min`;
 }
 
+// itunes:duration is either plain seconds or [HH:]MM:SS
+function durationSeconds(raw) {
+  if (/^\d+$/.test(String(raw).trim())) return parseInt(raw, 10);
+  const parts = String(raw).trim().split(':').map(Number);
+  if (parts.length < 2 || parts.some(isNaN)) return 0;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// '' for an episode whose feed item has no usable <pubDate>
+function isoDate(date) {
+  return isNaN(date) ? '' : date.toISOString().slice(0, 10);
+}
+
 function formatDate(date) {
+  if (isNaN(date)) return '';
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
   return `${months[date.getMonth()]}. ${date.getDate()}, ${date.getFullYear()}`;
 }
@@ -133,6 +674,374 @@ function slugify(title, episode) {
   return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
 }
 
+// `ep.slug` comes from the slug map (see assignSlugs)
+function episodeSlug(ep) {
+  return ep.slug || ep.episode || slugify(ep.title);
+}
+
+function episodeFilename(ep) {
+  return `${episodeSlug(ep)}.html`;
+}
+
+// Hand-kept files (transcripts/, episode-metadata.json) may still use a slug the episode has moved from
+function episodeKeys(ep) {
+  return [String(episodeSlug(ep)), ...(ep.previousSlugs || [])];
+}
+
+// ─── Feed Sources ───────────────────────────────────────────────────────────
+//
+// The archive is the main feed (rssUrl, or --file) plus any sources listed in
+// site.config.json's "feeds": other RSS feeds by URL or file, and hand-kept
+// JSON or YAML lists for episodes no feed carries. When two sources describe
+// the same episode the one listed first wins, and every field they disagree
+// on is reported so it can be fixed where it came from.
+
+const MANUAL_EPISODE_FIELDS = ['title', 'date', 'episode', 'season', 'description', 'duration', 'audioUrl',
+  'audioLength', 'audioType', 'image', 'link', 'guid', 'episodeType', 'explicit'];
+// Same title (by shared words) published within a few days counts as the same episode
+const FUZZY_TITLE_MATCH = 0.8;
+const FUZZY_DATE_DAYS = 3;
+// Fields whose disagreement is worth reporting, compared after normalizing
+const MERGE_CONFLICT_FIELDS = {
+  fullTitle: value => value.trim(),
+  date: value => isoDate(value),
+  episode: value => String(value),
+  season: value => String(value),
+  audioUrl: value => audioKey(value),
+  durationRaw: value => Math.round(durationSeconds(value) / 60),
+};
+
+// The last copy fetched of each feed URL, so a parse by an older build.js can
+// be redone without a request
+const FEED_CACHE_DIR = path.join(OUTPUT_DIR, '.cache', 'feeds');
+
+/**
+ * A source's parsed episodes. `cached` is the last build's entry for the same
+ * location; when another build.js (`generator`) parsed it, it is parsed again
+ * from the same content. With `offline` (--cached) a URL is never fetched.
+ */
+async function loadFeedSource(source, cached, { offline = false, generator = '' } = {}) {
+  const stale = Boolean(cached) && cached.generator !== generator;
+  if (source.url) {
+    const bodyPath = path.join(FEED_CACHE_DIR, sha256(source.url));
+    const hasBody = fs.existsSync(bodyPath);
+    const reparse = () => {
+      console.log(`Parsing the copy of ${source.url} fetched by an earlier build`);
+      const body = fs.readFileSync(bodyPath, 'utf-8');
+      return { etag: cached.etag, lastModified: cached.lastModified, contentHash: sha256(body), ...parseFeed(body) };
+    };
+    if (offline) {
+      if (cached && stale && hasBody) return reparse();
+      if (!cached) throw new Error(`${source.url} has not been fetched yet; build once without --cached`);
+      console.log(`Using cached episodes from: ${source.url}`);
+      return cached;
+    }
+    console.log(`Fetching RSS from: ${source.url}`);
+    // A stale parse with nothing to parse again from needs the whole feed
+    const validators = {};
+    if (cached && (!stale || hasBody)) {
+      if (cached.etag) validators['If-None-Match'] = cached.etag;
+      if (cached.lastModified) validators['If-Modified-Since'] = cached.lastModified;
+    }
+    const res = await fetchURL(source.url, validators);
+    if (res.notModified) {
+      console.log('Feed not modified (HTTP 304), using cached episodes');
+      return stale ? reparse() : cached;
+    }
+    console.log(`RSS content length: ${res.body.length} characters`);
+    fs.mkdirSync(FEED_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(bodyPath, res.body);
+    return { etag: res.etag, lastModified: res.lastModified, contentHash: sha256(res.body), ...parseFeed(res.body) };
+  }
+
+  const filePath = source.file || source.episodes;
+  console.log(`Reading ${source.file ? 'RSS' : 'episode list'} from file: ${path.relative(process.cwd(), filePath)}`);
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const contentHash = sha256(content);
+  if (cached && !stale && cached.contentHash === contentHash) {
+    console.log('Unchanged since last build, using cached episodes');
+    return cached;
+  }
+  if (source.file) console.log(`RSS content length: ${content.length} characters`);
+  return { contentHash, ...(source.file ? parseFeed(content) : parseEpisodeList(content, filePath)) };
+}
+
+/**
+ * Just enough YAML for an episode list: block mappings and sequences, plain
+ * and quoted scalars, "|" and ">" block text and comments. No anchors, tags
+ * or flow collections; numbers and dates stay strings.
+ */
+function parseYAML(text, name) {
+  const lines = text.replace(/\t/g, '  ').split(/\r?\n/);
+  let i = 0;
+  const fail = (message) => {
+    throw new Error(`${name}, line ${i + 1}: ${message}`);
+  };
+  const indentOf = line => line.search(/\S/);
+  const isItem = line => /^\s*-(\s|$)/.test(line);
+  const skipBlank = () => {
+    while (i < lines.length && (!lines[i].trim() || /^\s*#/.test(lines[i]) || /^(---|\.\.\.)\s*$/.test(lines[i]))) i++;
+  };
+
+  const parseScalar = (raw) => {
+    const value = raw.trim();
+    let match;
+    if ((match = value.match(/^"((?:[^"\\]|\\.)*)"(\s+#.*)?$/))) {
+      try {
+        return JSON.parse(`"${match[1]}"`);
+      } catch (err) {
+        fail('unsupported escape in double-quoted string');
+      }
+    }
+    if ((match = value.match(/^'((?:[^']|'')*)'(\s+#.*)?$/))) return match[1].replace(/''/g, "'");
+    if (/^["']/.test(value)) fail('unterminated quoted string');
+    const plain = value.replace(/\s+#.*$/, '');
+    if (plain === '' || plain === '~' || plain === 'null') return null;
+    if (plain === 'true' || plain === 'false') return plain === 'true';
+    return plain;
+  };
+
+  // "|" keeps line breaks, ">" folds lines into paragraphs
+  const parseBlockText = (style, parentIndent) => {
+    const text = [];
+    let indent = -1;
+    for (; i < lines.length; i++) {
+      if (lines[i].trim()) {
+        if (indentOf(lines[i]) <= parentIndent) break;
+        if (indent === -1) indent = indentOf(lines[i]);
+      }
+      text.push(lines[i].slice(Math.max(indent, 0)));
+    }
+    while (text.length && !text[text.length - 1].trim()) text.pop();
+    const body = text.join('\n');
+    return style === '>' ? body.replace(/([^\n])\n(?=[^\n])/g, '$1 ') : body;
+  };
+
+  const parseMapping = (indent) => {
+    const map = {};
+    for (skipBlank(); i < lines.length && indentOf(lines[i]) === indent && !isItem(lines[i]); skipBlank()) {
+      const match = lines[i].slice(indent).match(/^([A-Za-z_][\w-]*)\s*:(?:\s+(.*))?$/);
+      if (!match) fail('expected "key: value"');
+      const [, key, value = ''] = match;
+      if (/^[|>][-+]?\s*(#.*)?$/.test(value.trim())) {
+        i++;
+        map[key] = parseBlockText(value.trim()[0], indent);
+      } else if (value.trim() && !value.trim().startsWith('#')) {
+        map[key] = parseScalar(value);
+        i++;
+      } else {
+        // A nested block is indented further, except a list may sit at the key's own indent
+        i++;
+        skipBlank();
+        const next = lines[i];
+        map[key] = next !== undefined && (indentOf(next) > indent || (indentOf(next) === indent && isItem(next))) ? parseNode() : null;
+      }
+    }
+    if (i < lines.length && indentOf(lines[i]) > indent) fail('unexpected indentation');
+    return map;
+  };
+
+  const parseSequence = (indent) => {
+    const items = [];
+    for (skipBlank(); i < lines.length && indentOf(lines[i]) === indent && isItem(lines[i]); skipBlank()) {
+      const rest = lines[i].slice(indent + 1);
+      if (!rest.trim()) {
+        i++;
+        skipBlank();
+        items.push(i < lines.length && indentOf(lines[i]) > indent ? parseNode() : null);
+      } else if (/^[A-Za-z_][\w-]*\s*:(\s|$)/.test(rest.trim())) {
+        // "- key: value" opens a mapping indented to where its first key starts
+        const itemIndent = indent + 1 + indentOf(rest);
+        lines[i] = ' '.repeat(itemIndent) + rest.trim();
+        items.push(parseMapping(itemIndent));
+      } else {
+        items.push(parseScalar(rest));
+        i++;
+      }
+    }
+    return items;
+  };
+
+  const parseNode = () => {
+    skipBlank();
+    return isItem(lines[i]) ? parseSequence(indentOf(lines[i])) : parseMapping(indentOf(lines[i]));
+  };
+
+  skipBlank();
+  if (i >= lines.length) return null;
+  const result = parseNode();
+  skipBlank();
+  if (i < lines.length) fail('unexpected content');
+  return result;
+}
+
+// A dated-only entry means that day, not midnight UTC (the day before in the Americas)
+function manualDate(value) {
+  return new Date(/^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T12:00:00` : value);
+}
+
+// A hand-kept entry in the same shape parseEpisode gives a feed item
+function manualEpisode(entry) {
+  const title = String(entry.title).trim();
+  const date = manualDate(entry.date);
+  const duration = entry.duration === undefined || entry.duration === null ? '' : String(entry.duration);
+  const numberInTitle = title.match(/^(\d+)\./);
+  // Descriptions are Markdown here, where a feed's are HTML
+  const description = entry.description ? renderMarkdown(String(entry.description)) : '';
+  return {
+    title: title.replace(/^\d+\.\s*/, ''),
+    fullTitle: title,
+    description,
+    summary: description,
+    pubDate: date.toUTCString(),
+    date,
+    duration: formatDuration(duration),
+    durationRaw: duration,
+    episode: entry.episode !== undefined && entry.episode !== null ? String(entry.episode) : numberInTitle ? numberInTitle[1] : '',
+    season: String(entry.season || '1'),
+    explicit: entry.explicit === true,
+    episodeType: entry.episodeType || 'full',
+    audioUrl: entry.audioUrl || '',
+    audioLength: entry.audioLength ? String(entry.audioLength) : '',
+    audioType: entry.audioType || 'audio/mpeg',
+    episodeImage: entry.image || '',
+    transcripts: [],
+    chaptersUrl: '',
+    buzzsproutId: ((entry.audioUrl || '').match(/episodes\/(\d+)/) || [])[1] || '',
+    guid: entry.guid ? String(entry.guid) : '',
+    guidIsPermaLink: false,
+    link: entry.link || '',
+  };
+}
+
+function parseEpisodeList(content, filePath) {
+  const name = path.relative(process.cwd(), filePath) || filePath;
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(filePath) ? parseYAML(content, name) : JSON.parse(content);
+  } catch (err) {
+    throw new Error(err.message.startsWith(name) ? err.message : `${name}: ${err.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data && data.episodes;
+  if (!Array.isArray(entries)) throw new Error(`${name}: expected a list of episodes, or an object with an "episodes" list`);
+
+  const errors = [];
+  entries.forEach((entry, i) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`[${i}]: expected an object with "title", "date" and "description"`);
+      return;
+    }
+    for (const key of Object.keys(entry)) {
+      if (!MANUAL_EPISODE_FIELDS.includes(key)) errors.push(`[${i}].${key}: unknown field (expected ${MANUAL_EPISODE_FIELDS.join(', ')})`);
+    }
+    if (typeof entry.title !== 'string' || !entry.title.trim()) errors.push(`[${i}].title: missing`);
+    if (typeof entry.description !== 'string' || !entry.description.trim()) errors.push(`[${i}].description: missing (Markdown show notes)`);
+    if (entry.date === undefined || isNaN(manualDate(entry.date))) errors.push(`[${i}].date: expected a date, got ${JSON.stringify(entry.date)}`);
+    for (const key of ['audioUrl', 'image', 'link']) {
+      if (entry[key] !== undefined && !/^https?:\/\/\S+$/.test(entry[key])) errors.push(`[${i}].${key}: expected an http(s) URL, got ${JSON.stringify(entry[key])}`);
+    }
+    if (entry.episodeType !== undefined && !['full', 'trailer', 'bonus'].includes(entry.episodeType)) {
+      errors.push(`[${i}].episodeType: expected full, trailer or bonus, got ${JSON.stringify(entry.episodeType)}`);
+    }
+    if (!entry.audioUrl && !entry.link) errors.push(`[${i}]: needs an audioUrl or a link to where the episode lives`);
+  });
+  if (errors.length) throw new Error(`${name} is invalid:\n  - ${errors.join('\n  - ')}`);
+  return { podcastMeta: null, episodes: sortEpisodes(entries.map(manualEpisode)) };
+}
+
+// Enclosure URLs compared without scheme or tracking query
+function audioKey(url) {
+  return url.replace(/^https?:\/\//, '').replace(/[?#].*$/, '');
+}
+
+// Dice coefficient over the words of two titles, ignoring any leading episode number
+function titleSimilarity(a, b) {
+  const words = title => new Set(title.toLowerCase().replace(/^\d+[.:]\s*/, '').split(/[^a-z0-9]+/).filter(Boolean));
+  const [wordsA, wordsB] = [words(a), words(b)];
+  if (!wordsA.size || !wordsB.size) return 0;
+  let shared = 0;
+  for (const word of wordsA) if (wordsB.has(word)) shared++;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+// Both episodes carry a guid, enclosure or episode number and they disagree: not the same episode
+function differentIds(a, b) {
+  return Boolean((a.guid && b.guid && a.guid !== b.guid) ||
+    (a.audioUrl && b.audioUrl && audioKey(a.audioUrl) !== audioKey(b.audioUrl)) ||
+    (a.episode && b.episode && String(a.episode) !== String(b.episode)));
+}
+
+// Title and date only match across sources; one feed's "Part 1" and "Part 2" stay apart
+function findSameEpisode(ep, episodes, sourceName) {
+  const byGuid = ep.guid && episodes.find(other => other.guid === ep.guid);
+  if (byGuid) return { episode: byGuid, by: 'guid' };
+  const byAudio = ep.audioUrl && episodes.find(other => other.audioUrl && audioKey(other.audioUrl) === audioKey(ep.audioUrl));
+  if (byAudio) return { episode: byAudio, by: 'enclosure URL' };
+  const byTitle = episodes.find(other => !other.sources.includes(sourceName) && !differentIds(other, ep) &&
+    Math.abs(other.date - ep.date) <= FUZZY_DATE_DAYS * 86400000 &&
+    titleSimilarity(other.fullTitle, ep.fullTitle) >= FUZZY_TITLE_MATCH);
+  return byTitle ? { episode: byTitle, by: 'title and date' } : null;
+}
+
+const isBlankField = value => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && !value.length) || (value instanceof Date && isNaN(value));
+
+/**
+ * Merges each source's episodes into one newest-first list. Every episode is
+ * tagged with `source` (where it was taken from) and `sources` (everywhere it
+ * appeared); later sources only fill in fields the earlier ones left empty.
+ * `merges` lists every episode that was folded into another.
+ */
+function mergeSources(sources) {
+  const merged = [];
+  const conflicts = [];
+  const merges = [];
+
+  for (const source of sources) {
+    for (const ep of source.episodes) {
+      const match = findSameEpisode(ep, merged, source.name);
+      if (!match) {
+        merged.push({ ...ep, source: source.name, sourceLabel: source.label || '', sources: [source.name] });
+        continue;
+      }
+      const kept = match.episode;
+      merges.push({ episode: kept, title: ep.fullTitle, source: source.name, by: match.by });
+      if (!kept.sources.includes(source.name)) kept.sources.push(source.name);
+      for (const [field, normalize] of Object.entries(MERGE_CONFLICT_FIELDS)) {
+        if (isBlankField(kept[field]) || isBlankField(ep[field]) || normalize(kept[field]) === normalize(ep[field])) continue;
+        conflicts.push({ episode: kept, field, kept: kept[field], other: ep[field], otherSource: source.name, by: match.by });
+      }
+      for (const [field, value] of Object.entries(ep)) {
+        if (isBlankField(kept[field]) && !isBlankField(value)) kept[field] = value;
+      }
+    }
+  }
+  return { episodes: sortEpisodes(merged), conflicts, merges };
+}
+
+function reportMerges(merges) {
+  if (!merges.length) return;
+  console.log(`\nCombined ${merges.length} duplicate episode${merges.length === 1 ? '' : 's'}:`);
+  for (const { episode, title, source, by } of merges) {
+    console.log(`  ${title} (${source}) into ${episode.fullTitle} (${episode.source}), same ${by}`);
+  }
+}
+
+function reportConflicts(conflicts) {
+  if (!conflicts.length) return;
+  const show = (field, value) => (field === 'date' ? isoDate(value) : field === 'durationRaw' ? formatDuration(value) : value);
+  console.log(`\n${conflicts.length} conflict${conflicts.length === 1 ? '' : 's'} between feed sources (the source listed first is used):`);
+  let previous = null;
+  for (const conflict of conflicts) {
+    const { episode, field, kept, other, otherSource, by } = conflict;
+    if (!previous || previous.episode !== episode || previous.otherSource !== otherSource) {
+      console.log(`  ${episode.fullTitle} (matched in ${otherSource} by ${by})`);
+    }
+    console.log(`    ${field}: ${episode.source} has "${show(field, kept)}", ${otherSource} has "${show(field, other)}"`);
+    previous = conflict;
+  }
+}
+
 // ─── HTML Templates ─────────────────────────────────────────────────────────
 
 function escapeHtml(text) {
@@ -140,7 +1049,12 @@ function escapeHtml(text) {
 }
 
 function stripHtml(text) {
-  return text.replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, "'").replace(/&quot;/g, '"');
+  return text.replace(/<[^>]+>/g, '').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, "'").replace(/&apos;/g, "'").replace(/&quot;/g, '"');
+}
+
+// Readable plain text: block-level breaks become spaces so words don't run together
+function plainText(html) {
+  return stripHtml(html.replace(/<(br|\/p|\/li|\/h\d|\/div|\/blockquote|\/pre)[^>]*>/gi, ' ')).replace(/\s+/g, ' ').trim();
 }
 
 function cleanDescription(text) {
@@ -148,270 +1062,415 @@ function cleanDescription(text) {
   return text.replace(/^Send us a text\s*/i, '');
 }
 
+// Plain text (see showNotesText for an episode's notes) cut at a word boundary
 function truncate(text, maxLen = 200) {
-  const plain = cleanDescription(stripHtml(text));
-  if (plain.length <= maxLen) return plain;
-  return plain.substring(0, maxLen).replace(/\s+\S*$/, '') + '...';
+  if (text.length <= maxLen) return text;
+  return text.substring(0, maxLen).replace(/\s+\S*$/, '') + '...';
 }
 
-function faviconHTML(prefix = '') {
+// ─── Layouts & Partials ─────────────────────────────────────────────────────
+//
+// Every page is the base layout wrapped around a body. Partials receive a context
+// whose `root` is the relative path from the page back to the site root ('' for
+// index.html, '../' for episodes/12.html), so links are right for any output path.
+// A theme directory can override any partial by name:
+//   theme/nav.js     module.exports = (ctx, partial) => '<nav>...</nav>'
+//   theme/footer.html  {{root}} etc. insert context values, {{> sidebar}} renders another partial
+
+function relativeRoot(pagePath) {
+  return '../'.repeat(pagePath.split('/').length - 1);
+}
+
+function faviconHTML(root = '') {
   return `
-  <link rel="apple-touch-icon" sizes="180x180" href="${prefix}images/apple-touch-icon.png">
-  <link rel="icon" type="image/png" sizes="32x32" href="${prefix}images/favicon-32x32.png">`;
+  <link rel="apple-touch-icon" sizes="180x180" href="${root}images/apple-touch-icon.png">
+  <link rel="icon" type="image/png" sizes="32x32" href="${root}images/favicon-32x32.png">`;
+}
+
+// Icons a site config can refer to by name; podcast platforms keep their brand colour
+const ICONS = {
+  twitter: { label: 'Twitter', path: 'M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z' },
+  linkedin: { label: 'LinkedIn', path: 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433a2.062 2.062 0 01-2.063-2.065 2.064 2.064 0 112.063 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z' },
+  tiktok: { label: 'TikTok', path: 'M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z' },
+  instagram: { label: 'Instagram', path: 'M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zM12 0C8.741 0 8.333.014 7.053.072 2.695.272.273 2.69.073 7.052.014 8.333 0 8.741 0 12c0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98C8.333 23.986 8.741 24 12 24c3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98C15.668.014 15.259 0 12 0zm0 5.838a6.162 6.162 0 100 12.324 6.162 6.162 0 000-12.324zM12 16a4 4 0 110-8 4 4 0 010 8zm6.406-11.845a1.44 1.44 0 100 2.881 1.44 1.44 0 000-2.881z' },
+  youtube: { label: 'YouTube', path: 'M23.498 6.186a3.016 3.016 0 00-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 00.502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 002.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 002.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z' },
+  apple: { label: 'Apple Podcasts', color: '#872ec4', path: 'M5.34 0A5.328 5.328 0 000 5.34v13.32A5.328 5.328 0 005.34 24h13.32A5.328 5.328 0 0024 18.66V5.34A5.328 5.328 0 0018.66 0zm6.525 2.568c2.336 0 4.448.902 6.056 2.587 1.076 1.126 1.772 2.445 2.064 3.93.122.62-.26 1.22-.853 1.342a1.088 1.088 0 01-1.283-.856c-.213-1.078-.72-2.038-1.506-2.86C14.985 5.29 13.4 4.58 11.676 4.6c-1.724.02-3.3.753-4.622 2.18-.79.852-1.27 1.826-1.454 2.91-.152.614-.762.988-1.36.836a1.102 1.102 0 01-.834-1.363c.258-1.494.924-2.833 1.978-3.983 1.582-1.727 3.672-2.655 6.04-2.612zm.18 3.252c1.604.008 3.064.678 4.1 1.804.712.774 1.156 1.678 1.333 2.696.112.638-.316 1.244-.948 1.356a1.102 1.102 0 01-1.282-.88 3.124 3.124 0 00-.764-1.538c-.59-.644-1.426-1.025-2.348-1.035-.928-.012-1.772.352-2.376.984-.434.454-.732.992-.87 1.57-.165.606-.79.964-1.398.798a1.1 1.1 0 01-.79-1.398 5.36 5.36 0 011.503-2.706c.984-1.024 2.33-1.632 3.782-1.654zm-.032 4.804c1.172-.012 2.156.924 2.156 2.124-.002.396-.124.768-.328 1.09l-.004.01-.016.02c-.04.06-.082.117-.127.17l-1.486 3.03c-.248.554-.842.71-1.312.482a.986.986 0 01-.478-1.316l.008-.018 1.112-2.272-.034-.002a2.138 2.138 0 01-.663-.358 2.103 2.103 0 01-.796-1.638c-.008-1.196.798-2.31 1.968-2.322z' },
+  spotify: { label: 'Spotify', color: '#1DB954', path: 'M12 0C5.4 0 0 5.4 0 12s5.4 12 12 12 12-5.4 12-12S18.66 0 12 0zm5.521 17.34c-.24.359-.66.48-1.021.24-2.82-1.74-6.36-2.101-10.561-1.141-.418.122-.779-.179-.899-.539-.12-.421.18-.78.54-.9 4.56-1.021 8.52-.6 11.64 1.32.42.18.479.659.301 1.02zm1.44-3.3c-.301.42-.841.6-1.262.3-3.239-1.98-8.159-2.58-11.939-1.38-.479.12-1.02-.12-1.14-.6-.12-.48.12-1.021.6-1.141C9.6 9.9 15 10.561 18.72 12.84c.361.181.54.78.241 1.2zm.12-3.36C15.24 8.4 8.82 8.16 5.16 9.301c-.6.179-1.2-.181-1.38-.721-.18-.601.18-1.2.72-1.381 4.26-1.26 11.28-1.02 15.721 1.621.539.3.719 1.02.419 1.56-.299.421-1.02.599-1.559.3z' },
+  rss: { label: 'RSS Feed', color: '#f26522', path: 'M6.503 20.752c0 1.794-1.456 3.248-3.251 3.248-1.796 0-3.252-1.454-3.252-3.248 0-1.794 1.456-3.248 3.252-3.248 1.795.001 3.251 1.454 3.251 3.248zm-6.503-12.572v4.811c6.05.062 10.96 4.966 11.022 11.009h4.817c-.062-8.71-7.118-15.758-15.839-15.82zm0-8.18v4.819c12.951.115 23.424 10.617 23.5 23.581h4.82c-.077-15.683-12.818-28.395-28.32-28.4z' },
+};
+
+function iconSVG(name, size, fill = 'currentColor') {
+  return `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="${fill}"><path d="${ICONS[name].path}"/></svg>`;
+}
+
+function socialLinksHTML(site, size, indent) {
+  return site.social.map(({ network, url }) => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener" aria-label="${ICONS[network].label}">${iconSVG(network, size)}</a>`).join(`\n${indent}`);
 }
 
-function navHTML(activePage = 'home') {
+function navHTML({ root = '', active = 'home', site }) {
   return `
   <!-- Top Banner -->
   <div class="top-banner">
-    <a href="https://survivorscience.com" target="_blank" rel="noopener">Go to Main Survivor Science Site</a>
+    <a href="${escapeHtml(site.mainSiteUrl)}" target="_blank" rel="noopener">Go to Main ${escapeHtml(site.showName)} Site</a>
   </div>
 
   <!-- Navigation -->
   <nav class="main-nav">
     <div class="nav-container">
-      <a href="index.html" class="nav-logo">
-        <img src="images/podcast-artwork.jpg" alt="Survivor Science" class="nav-logo-img">
-        <span class="nav-logo-text">Survivor Science</span>
+      <a href="${root}index.html" class="nav-logo">
+        <img src="${root}images/podcast-artwork.jpg" alt="${escapeHtml(site.showName)}" class="nav-logo-img">
+        <span class="nav-logo-text">${escapeHtml(site.showName)}</span>
       </a>
       <button class="nav-toggle" aria-label="Toggle navigation">
         <span></span><span></span><span></span>
       </button>
       <div class="nav-links">
-        <a href="index.html" class="${activePage === 'home' ? 'active' : ''}">Home</a>
-        <a href="about.html" class="${activePage === 'about' ? 'active' : ''}">About</a>
-        <a href="episodes.html" class="${activePage === 'episodes' ? 'active' : ''}">Episodes</a>
-        <a href="https://survivorscience.com/contact" target="_blank" rel="noopener">Contact</a>
+        <a href="${root}index.html" class="${active === 'home' ? 'active' : ''}">Home</a>
+        <a href="${root}about.html" class="${active === 'about' ? 'active' : ''}">About</a>
+        <a href="${root}episodes.html" class="${active === 'episodes' ? 'active' : ''}">Episodes</a>
+        <a href="${escapeHtml(site.contactUrl)}" target="_blank" rel="noopener">Contact</a>
         <div class="nav-social">
-          <a href="https://twitter.com/SurvivorSciHQ" target="_blank" rel="noopener" aria-label="Twitter"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/></svg></a>
-          <a href="https://www.linkedin.com/in/willschmierer/" target="_blank" rel="noopener" aria-label="LinkedIn"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433a2.062 2.062 0 01-2.063-2.065 2.064 2.064 0 112.063 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/></svg></a>
-          <a href="https://www.tiktok.com/@SurvivorScienceHQ" target="_blank" rel="noopener" aria-label="TikTok"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z"/></svg></a>
-          <a href="https://www.instagram.com/SurvivorScienceHQ/" target="_blank" rel="noopener" aria-label="Instagram"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zM12 0C8.741 0 8.333.014 7.053.072 2.695.272.273 2.69.073 7.052.014 8.333 0 8.741 0 12c0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98C8.333 23.986 8.741 24 12 24c3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98C15.668.014 15.259 0 12 0zm0 5.838a6.162 6.162 0 100 12.324 6.162 6.162 0 000-12.324zM12 16a4 4 0 110-8 4 4 0 010 8zm6.406-11.845a1.44 1.44 0 100 2.881 1.44 1.44 0 000-2.881z"/></svg></a>
-          <a href="https://www.youtube.com/@SurvivorScienceHQ" target="_blank" rel="noopener" aria-label="YouTube"><svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor"><path d="M23.498 6.186a3.016 3.016 0 00-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 00.502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 002.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 002.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z"/></svg></a>
+          ${socialLinksHTML(site, 18, '          ')}
         </div>
       </div>
+      <button class="reading-toggle" type="button" aria-label="Reading settings" aria-expanded="false" aria-controls="reading-panel" hidden>Aa</button>
     </div>
+    <div class="reading-panel" id="reading-panel" hidden></div>
   </nav>`;
 }
 
-function footerHTML() {
+function footerHTML({ root = '', site }) {
   return `
   <footer class="site-footer">
     <div class="footer-container">
       <div class="footer-about">
-        <div class="footer-logo">Survivor Science</div>
-        <p>The Survivor Science Podcast is about sharing the struggles, successes, and science behind, navigating your second chance at life!</p>
-        <p>We are building a community of survivors of all kinds to learn, grow, share and connect from each other and individual experiences to help others learn what works as well!</p>
-        <p>Whether it's tips for managing daily tasks or advice for how to stay motivated, we've got you covered on the road to recovery. You don't have to go out alone!</p>
+        <div class="footer-logo">${escapeHtml(site.showName)}</div>
+        ${renderMarkdown(site.footerText).replace(/\n\n/g, '\n        ')}
       </div>
       <div class="footer-links">
         <div class="footer-col">
-          <a href="episodes.html">Episodes</a>
-          <a href="about.html">About</a>
+          <a href="${root}episodes.html">Episodes</a>
+          <a href="${root}about.html">About</a>
+          <a href="${root}stats.html">Stats</a>
         </div>
         <div class="footer-col">
-          <a href="https://survivorscience.com/contact" target="_blank" rel="noopener">Contact</a>
-          <a href="https://survivorscience.com" target="_blank" rel="noopener">Main Site</a>
+          <a href="${escapeHtml(site.contactUrl)}" target="_blank" rel="noopener">Contact</a>
+          <a href="${escapeHtml(site.mainSiteUrl)}" target="_blank" rel="noopener">Main Site</a>
         </div>
       </div>
       <div class="footer-social">
-        <a href="https://twitter.com/SurvivorSciHQ" target="_blank" rel="noopener" aria-label="Twitter"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/></svg></a>
-        <a href="https://www.linkedin.com/in/willschmierer/" target="_blank" rel="noopener" aria-label="LinkedIn"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433a2.062 2.062 0 01-2.063-2.065 2.064 2.064 0 112.063 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/></svg></a>
-        <a href="https://www.tiktok.com/@SurvivorScienceHQ" target="_blank" rel="noopener" aria-label="TikTok"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z"/></svg></a>
-        <a href="https://www.instagram.com/SurvivorScienceHQ/" target="_blank" rel="noopener" aria-label="Instagram"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zM12 0C8.741 0 8.333.014 7.053.072 2.695.272.273 2.69.073 7.052.014 8.333 0 8.741 0 12c0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98C8.333 23.986 8.741 24 12 24c3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98C15.668.014 15.259 0 12 0zm0 5.838a6.162 6.162 0 100 12.324 6.162 6.162 0 000-12.324zM12 16a4 4 0 110-8 4 4 0 010 8zm6.406-11.845a1.44 1.44 0 100 2.881 1.44 1.44 0 000-2.881z"/></svg></a>
-        <a href="https://www.youtube.com/@SurvivorScienceHQ" target="_blank" rel="noopener" aria-label="YouTube"><svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor"><path d="M23.498 6.186a3.016 3.016 0 00-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 00.502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 002.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 002.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z"/></svg></a>
+        ${socialLinksHTML(site, 20, '        ')}
       </div>
     </div>
     <div class="footer-bottom">
-      <span>&copy; Survivor Science</span>
+      <span>&copy; ${escapeHtml(site.showName)}</span>
     </div>
   </footer>`;
 }
 
-function sidebarHTML(episodes) {
+function sidebarHTML({ root = '', episodes, site }) {
   const recentEps = episodes.slice(0, 10);
   return `
     <aside class="sidebar">
       <div class="sidebar-listen">
         <h3>LISTEN ON</h3>
         <ul class="listen-links">
-          <li><a href="https://podcasts.apple.com/us/podcast/survivor-science/id1667418261" target="_blank" rel="noopener"><svg width="20" height="20" viewBox="0 0 24 24" fill="#872ec4"><path d="M5.34 0A5.328 5.328 0 000 5.34v13.32A5.328 5.328 0 005.34 24h13.32A5.328 5.328 0 0024 18.66V5.34A5.328 5.328 0 0018.66 0zm6.525 2.568c2.336 0 4.448.902 6.056 2.587 1.076 1.126 1.772 2.445 2.064 3.93.122.62-.26 1.22-.853 1.342a1.088 1.088 0 01-1.283-.856c-.213-1.078-.72-2.038-1.506-2.86C14.985 5.29 13.4 4.58 11.676 4.6c-1.724.02-3.3.753-4.622 2.18-.79.852-1.27 1.826-1.454 2.91-.152.614-.762.988-1.36.836a1.102 1.102 0 01-.834-1.363c.258-1.494.924-2.833 1.978-3.983 1.582-1.727 3.672-2.655 6.04-2.612zm.18 3.252c1.604.008 3.064.678 4.1 1.804.712.774 1.156 1.678 1.333 2.696.112.638-.316 1.244-.948 1.356a1.102 1.102 0 01-1.282-.88 3.124 3.124 0 00-.764-1.538c-.59-.644-1.426-1.025-2.348-1.035-.928-.012-1.772.352-2.376.984-.434.454-.732.992-.87 1.57-.165.606-.79.964-1.398.798a1.1 1.1 0 01-.79-1.398 5.36 5.36 0 011.503-2.706c.984-1.024 2.33-1.632 3.782-1.654zm-.032 4.804c1.172-.012 2.156.924 2.156 2.124-.002.396-.124.768-.328 1.09l-.004.01-.016.02c-.04.06-.082.117-.127.17l-1.486 3.03c-.248.554-.842.71-1.312.482a.986.986 0 01-.478-1.316l.008-.018 1.112-2.272-.034-.002a2.138 2.138 0 01-.663-.358 2.103 2.103 0 01-.796-1.638c-.008-1.196.798-2.31 1.968-2.322z"/></svg> Apple Podcasts</a></li>
-          <li><a href="https://open.spotify.com/show/1Pn79nkerjQ7vXK0V2Wfif" target="_blank" rel="noopener"><svg width="20" height="20" viewBox="0 0 24 24" fill="#1DB954"><path d="M12 0C5.4 0 0 5.4 0 12s5.4 12 12 12 12-5.4 12-12S18.66 0 12 0zm5.521 17.34c-.24.359-.66.48-1.021.24-2.82-1.74-6.36-2.101-10.561-1.141-.418.122-.779-.179-.899-.539-.12-.421.18-.78.54-.9 4.56-1.021 8.52-.6 11.64 1.32.42.18.479.659.301 1.02zm1.44-3.3c-.301.42-.841.6-1.262.3-3.239-1.98-8.159-2.58-11.939-1.38-.479.12-1.02-.12-1.14-.6-.12-.48.12-1.021.6-1.141C9.6 9.9 15 10.561 18.72 12.84c.361.181.54.78.241 1.2zm.12-3.36C15.24 8.4 8.82 8.16 5.16 9.301c-.6.179-1.2-.181-1.38-.721-.18-.601.18-1.2.72-1.381 4.26-1.26 11.28-1.02 15.721 1.621.539.3.719 1.02.419 1.56-.299.421-1.02.599-1.559.3z"/></svg> Spotify</a></li>
-          <li><a href="https://rss.buzzsprout.com/2117363.rss" target="_blank" rel="noopener"><svg width="20" height="20" viewBox="0 0 24 24" fill="#f26522"><path d="M6.503 20.752c0 1.794-1.456 3.248-3.251 3.248-1.796 0-3.252-1.454-3.252-3.248 0-1.794 1.456-3.248 3.252-3.248 1.795.001 3.251 1.454 3.251 3.248zm-6.503-12.572v4.811c6.05.062 10.96 4.966 11.022 11.009h4.817c-.062-8.71-7.118-15.758-15.839-15.82zm0-8.18v4.819c12.951.115 23.424 10.617 23.5 23.581h4.82c-.077-15.683-12.818-28.395-28.32-28.4z"/></svg> RSS Feed</a></li>
+          ${site.listenOn.map(({ platform, url }) => `<li><a href="${escapeHtml(url)}" target="_blank" rel="noopener">${iconSVG(platform, 20, ICONS[platform].color)} ${ICONS[platform].label}</a></li>`).join('\n          ')}
         </ul>
       </div>
       <div class="sidebar-recent">
         <h3>RECENT EPISODES</h3>
         <ul class="recent-episodes-list">
           ${recentEps.map(ep => `
-          <li><a href="episodes/${ep.episode}.html">${ep.episode ? ep.episode + '. ' : ''}${ep.title}</a></li>
+          <li><a href="${root}episodes/${episodeFilename(ep)}">${ep.episode ? ep.episode + '. ' : ''}${ep.title}</a></li>
           `).join('')}
         </ul>
-        <a href="episodes.html" class="see-all">See all &rarr;</a>
+        <a href="${root}episodes.html" class="see-all">See all &rarr;</a>
       </div>
     </aside>`;
 }
 
-function listenOnHTML() {
-  return `
-  <div class="listen-on-buttons">
-    <a href="https://podcasts.apple.com/us/podcast/survivor-science/id1667418261" target="_blank" rel="noopener" class="listen-btn"><svg width="20" height="20" viewBox="0 0 24 24" fill="#872ec4"><path d="M5.34 0A5.328 5.328 0 000 5.34v13.32A5.328 5.328 0 005.34 24h13.32A5.328 5.328 0 0024 18.66V5.34A5.328 5.328 0 0018.66 0zm6.525 2.568c2.336 0 4.448.902 6.056 2.587 1.076 1.126 1.772 2.445 2.064 3.93.122.62-.26 1.22-.853 1.342a1.088 1.088 0 01-1.283-.856c-.213-1.078-.72-2.038-1.506-2.86C14.985 5.29 13.4 4.58 11.676 4.6c-1.724.02-3.3.753-4.622 2.18-.79.852-1.27 1.826-1.454 2.91-.152.614-.762.988-1.36.836a1.102 1.102 0 01-.834-1.363c.258-1.494.924-2.833 1.978-3.983 1.582-1.727 3.672-2.655 6.04-2.612zm.18 3.252c1.604.008 3.064.678 4.1 1.804.712.774 1.156 1.678 1.333 2.696.112.638-.316 1.244-.948 1.356a1.102 1.102 0 01-1.282-.88 3.124 3.124 0 00-.764-1.538c-.59-.644-1.426-1.025-2.348-1.035-.928-.012-1.772.352-2.376.984-.434.454-.732.992-.87 1.57-.165.606-.79.964-1.398.798a1.1 1.1 0 01-.79-1.398 5.36 5.36 0 011.503-2.706c.984-1.024 2.33-1.632 3.782-1.654zm-.032 4.804c1.172-.012 2.156.924 2.156 2.124-.002.396-.124.768-.328 1.09l-.004.01-.016.02c-.04.06-.082.117-.127.17l-1.486 3.03c-.248.554-.842.71-1.312.482a.986.986 0 01-.478-1.316l.008-.018 1.112-2.272-.034-.002a2.138 2.138 0 01-.663-.358 2.103 2.103 0 01-.796-1.638c-.008-1.196.798-2.31 1.968-2.322z"/></svg> Apple Podcasts</a>
-    <a href="https://open.spotify.com/show/1Pn79nkerjQ7vXK0V2Wfif" target="_blank" rel="noopener" class="listen-btn"><svg width="20" height="20" viewBox="0 0 24 24" fill="#1DB954"><path d="M12 0C5.4 0 0 5.4 0 12s5.4 12 12 12 12-5.4 12-12S18.66 0 12 0zm5.521 17.34c-.24.359-.66.48-1.021.24-2.82-1.74-6.36-2.101-10.561-1.141-.418.122-.779-.179-.899-.539-.12-.421.18-.78.54-.9 4.56-1.021 8.52-.6 11.64 1.32.42.18.479.659.301 1.02zm1.44-3.3c-.301.42-.841.6-1.262.3-3.239-1.98-8.159-2.58-11.939-1.38-.479.12-1.02-.12-1.14-.6-.12-.48.12-1.021.6-1.141C9.6 9.9 15 10.561 18.72 12.84c.361.181.54.78.241 1.2zm.12-3.36C15.24 8.4 8.82 8.16 5.16 9.301c-.6.179-1.2-.181-1.38-.721-.18-.601.18-1.2.72-1.381 4.26-1.26 11.28-1.02 15.721 1.621.539.3.719 1.02.419 1.56-.299.421-1.02.599-1.559.3z"/></svg> Spotify</a>
-  </div>`;
-}
-
-function generateHomePage(episodes, podcastMeta) {
-  const latest = episodes[0];
-  const recent = episodes.slice(0, 6);
+// Inline so the reading modes saved by js/main.js are on <html> before the first paint
+const READING_MODES_SCRIPT = `<script>try{(JSON.parse(localStorage.getItem('ss-reading'))||[]).forEach(function(m){if(/^[a-z-]+$/.test(m))document.documentElement.classList.add('reading-'+m)})}catch(e){}</script>`;
 
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
+function headHTML({ root = '', title, description, metaTags = '', extraHead = '' }) {
+  return `<head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Survivor Science Podcast Archive</title>
-  <meta name="description" content="${escapeHtml(cleanDescription(stripHtml(podcastMeta.description)))}">
-  <meta property="og:title" content="Survivor Science Podcast Archive">
-  <meta property="og:description" content="${escapeHtml(cleanDescription(stripHtml(podcastMeta.description)))}">
-  <meta property="og:image" content="images/og-image.png">
-  <meta property="og:type" content="website">
-  ${faviconHTML()}
+  ${READING_MODES_SCRIPT}
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  ${metaTags}
+  ${faviconHTML(root)}
+  <link rel="manifest" href="${root}manifest.webmanifest">
+  <meta name="theme-color" content="${THEME_COLOR}">
   <link rel="preconnect" href="https://fonts.googleapis.com">
   <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
   <link href="https://fonts.googleapis.com/css2?family=Figtree:wght@400;500;600;700;800;900&display=swap" rel="stylesheet">
-  <link rel="stylesheet" href="css/style.css">
-</head>
-<body>
-  ${navHTML('home')}
+  <link rel="stylesheet" href="${root}css/style.css">${extraHead ? `\n  ${extraHead}` : ''}
+</head>`;
+}
 
-  <!-- Hero Section -->
-  <section class="hero">
-    <div class="hero-container">
-      <div class="hero-content">
-        <span class="hero-label">LATEST EPISODE</span>
-        <h1 class="hero-title">${latest.episode ? latest.episode + '. ' : ''}${escapeHtml(latest.title)}</h1>
-        <p class="hero-description">${escapeHtml(truncate(latest.description, 250))}</p>
-        <a href="episodes/${latest.episode}.html" class="btn-play">
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="white"><path d="M8 5v14l11-7z"/></svg>
-          Play Latest Episode
-        </a>
-      </div>
-      <div class="hero-artwork">
-        <img src="images/podcast-artwork.jpg" alt="Survivor Science Podcast Artwork">
-      </div>
-    </div>
-  </section>
+function layoutHTML(ctx, partial) {
+  return `<!DOCTYPE html>
+<html lang="en">
+${partial('head', ctx)}
+<body>
+  ${partial('nav', ctx)}
 
-  <!-- Recent Episodes -->
-  <section class="recent-episodes">
-    <div class="recent-container">
-      <div class="recent-main">
-        <div class="section-header">
-          <h2>Recent Episodes</h2>
-          <a href="episodes.html" class="view-all">View all &rarr;</a>
-        </div>
-        <div class="episode-grid">
-          ${recent.map(ep => episodeCardHTML(ep)).join('')}
-        </div>
-      </div>
-      ${sidebarHTML(episodes)}
-    </div>
-  </section>
+  ${ctx.body}
 
-  ${footerHTML()}
-  <script src="js/main.js"></script>
+  ${partial('footer', ctx)}
+  <script src="${ctx.root}js/main.js"></script>
 </body>
 </html>`;
 }
 
-function episodeCardHTML(ep) {
+const PARTIALS = {
+  layout: layoutHTML,
+  head: headHTML,
+  nav: navHTML,
+  footer: footerHTML,
+  sidebar: sidebarHTML,
+};
+
+let activePartials = PARTIALS;
+
+// Partials always see the site config as ctx.site
+function partial(name, ctx) {
+  if (!activePartials[name]) throw new Error(`Unknown partial "${name}"`);
+  return activePartials[name]({ site, ...ctx }, partial);
+}
+
+function htmlPartial(template) {
+  return (ctx, render) => template.replace(/\{\{\s*(>\s*)?([\w-]+)\s*\}\}/g, (_, include, key) => {
+    if (include) return render(key, ctx);
+    return ctx[key] === undefined || ctx[key] === null ? '' : String(ctx[key]);
+  });
+}
+
+// --theme DIR, or theme/ next to build.js when it exists
+function themeDirectory() {
+  const themeArg = process.argv.indexOf('--theme');
+  return themeArg !== -1 ? path.resolve(process.argv[themeArg + 1]) : path.join(OUTPUT_DIR, 'theme');
+}
+
+// Theme files replace (or add) partials of the same name; returns the names overridden
+function loadTheme(themeDir) {
+  const overrides = {};
+  for (const file of fs.readdirSync(themeDir).sort()) {
+    const { name, ext } = path.parse(file);
+    const filePath = path.resolve(themeDir, file);
+    if (ext === '.js') {
+      overrides[name] = require(filePath);
+      if (typeof overrides[name] !== 'function') throw new Error(`Theme partial ${file} must export a function`);
+    } else if (ext === '.html') {
+      overrides[name] = htmlPartial(fs.readFileSync(filePath, 'utf-8'));
+    }
+  }
+  activePartials = { ...PARTIALS, ...overrides };
+  return Object.keys(overrides);
+}
+
+// `social` overrides what metaTagsHTML gets for the page (title, image, card, ...)
+function renderPage({ path: pagePath, title, description, social = {}, siteUrl = '', active = 'episodes', extraHead = '', body }) {
+  return partial('layout', {
+    root: relativeRoot(pagePath),
+    path: pagePath,
+    title,
+    description,
+    active,
+    extraHead,
+    body,
+    metaTags: metaTagsHTML(siteUrl, { path: pagePath, title, description, ...social }),
+  });
+}
+
+// ─── Pages ──────────────────────────────────────────────────────────────────
+
+// App buttons under the player; the RSS link stays in the sidebar
+function listenOnHTML() {
+  return `
+  <div class="listen-on-buttons">
+    ${site.listenOn.filter(({ platform }) => platform !== 'rss').map(({ platform, url }) => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener" class="listen-btn">${iconSVG(platform, 20, ICONS[platform].color)} ${ICONS[platform].label}</a>`).join('\n    ')}
+  </div>`;
+}
+
+function generateHomePage(episodes, podcastMeta, { siteUrl = '', player = 'buzzsprout' } = {}) {
+  const latest = episodes[0];
+  const recent = episodes.slice(0, 6);
+  const description = plainText(showDescriptionHTML(podcastMeta));
+
+  return renderPage({
+    path: 'index.html',
+    title: site.siteName,
+    description,
+    social: { path: '', image: 'images/og-image.png', card: 'summary_large_image' },
+    siteUrl,
+    active: 'home',
+    extraHead: jsonLdHTML(podcastSeriesLd(podcastMeta, siteUrl)),
+    body: `<!-- Hero Section -->
+  <section class="hero">
+    <div class="hero-container">
+      <div class="hero-content">
+        <span class="hero-label">LATEST EPISODE</span>
+        <h1 class="hero-title">${latest.episode ? latest.episode + '. ' : ''}${escapeHtml(latest.title)}</h1>
+        <p class="hero-description">${escapeHtml(truncate(showNotesText(latest), 250))}</p>
+        <a href="episodes/${episodeFilename(latest)}" class="btn-play">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="white"><path d="M8 5v14l11-7z"/></svg>
+          Play Latest Episode
+        </a>
+      </div>
+      <div class="hero-artwork">
+        <img src="images/podcast-artwork.jpg" alt="${escapeHtml(site.showName)} Podcast Artwork">
+      </div>
+    </div>
+  </section>
+
+  <!-- Continue Listening: this device's queue and progress, filled in by js/main.js -->
+  <section class="continue-listening" id="continue-listening" aria-labelledby="continue-heading" hidden>
+    <div class="continue-container">
+      <div class="section-header">
+        <h2 id="continue-heading">Continue Listening</h2>
+        <div class="listening-data">
+          <button type="button" class="listening-export">Export progress</button>
+          <label class="listening-import">Import progress <input type="file" accept=".json,application/json"></label>
+        </div>
+      </div>
+      <ol class="continue-list"></ol>
+      <p class="continue-empty">${player === 'native'
+        ? 'Episodes you start playing or add to your queue show up here.'
+        : 'Episodes you add to your queue show up here.'} Export your progress to carry it to another device.</p>
+      <p class="listening-status" role="status"></p>
+    </div>
+  </section>
+
+  <!-- Recent Episodes -->
+  <section class="recent-episodes">
+    <div class="recent-container">
+      <div class="recent-main">
+        <div class="section-header">
+          <h2>Recent Episodes</h2>
+          <a href="episodes.html" class="view-all">View all &rarr;</a>
+        </div>
+        <div class="episode-grid">
+          ${recent.map(ep => episodeCardHTML(ep)).join('')}
+        </div>
+      </div>
+      ${partial('sidebar', { root: '', episodes })}
+    </div>
+  </section>`,
+  });
+}
+
+// Mirrored artwork, else the feed's (escaped, as it comes straight from the feed), else the show's
+function episodeImageSrc(ep, root = '') {
+  return escapeHtml(ep.localImage ? root + ep.localImage : ep.episodeImage || `${root}images/podcast-artwork.jpg`);
+}
+
+// data-* attributes drive the season/year/length/topic filters and sorting in
+// js/main.js; data-episode ties the card to the listener's queue and progress
+function episodeCardHTML(ep, root = '') {
+  const tags = (ep.topics || []).map(topic => slugify(topic)).join(' ');
+  const href = `${root}episodes/${episodeFilename(ep)}`;
   return `
-          <article class="episode-card">
-            <a href="episodes/${ep.episode}.html" class="episode-card-image">
-              <img src="${ep.episodeImage || 'images/podcast-artwork.jpg'}" alt="${escapeHtml(ep.fullTitle)}" loading="lazy">
+          <article class="episode-card" data-episode="${escapeHtml(listeningKey(ep))}" data-date="${isoDate(ep.date)}" data-season="${ep.season || ''}" data-seconds="${durationSeconds(ep.durationRaw)}" data-tags="${tags}">
+            <a href="${href}" class="episode-card-image">
+              <img src="${episodeImageSrc(ep, root)}" alt="${escapeHtml(ep.fullTitle)}" loading="lazy">
             </a>
             <div class="episode-card-content">
               <time class="episode-date">${formatDate(ep.date)}</time>
               <h3 class="episode-card-title">
-                <a href="episodes/${ep.episode}.html">${ep.episode ? ep.episode + '. ' : ''}${escapeHtml(ep.title)}</a>
+                <a href="${href}">${ep.episode ? ep.episode + '. ' : ''}${escapeHtml(ep.title)}</a>
               </h3>
-              <p class="episode-card-desc">${escapeHtml(truncate(ep.description, 180))}</p>
-              <a href="episodes/${ep.episode}.html" class="episode-listen-link">&rarr; Listen to the Episode</a>
+              <p class="episode-card-desc">${escapeHtml(truncate(showNotesText(ep), 180))}</p>
+              ${tagListHTML(ep, root)}
+              <a href="${href}" class="episode-listen-link">&rarr; Listen to the Episode</a>
             </div>
           </article>`;
 }
 
-function generateEpisodesPage(episodes) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>All Episodes - Survivor Science Podcast Archive</title>
-  <meta name="description" content="Browse all episodes of the Survivor Science podcast.">
-  ${faviconHTML()}
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family=Figtree:wght@400;500;600;700;800;900&display=swap" rel="stylesheet">
-  <link rel="stylesheet" href="css/style.css">
-</head>
-<body>
-  ${navHTML('episodes')}
+function generateEpisodesPage(episodes, { siteUrl = '' } = {}) {
+  const topics = collectTaxonomy(episodes, 'topics');
+  const hasGuests = episodes.some(ep => ep.guests && ep.guests.length);
 
-  <section class="episodes-hero">
+  return renderPage({
+    path: 'episodes.html',
+    title: `All Episodes - ${site.siteName}`,
+    description: `Browse all episodes of the ${site.showName} podcast.`,
+    social: { image: 'images/og-image.png', card: 'summary_large_image' },
+    siteUrl,
+    active: 'episodes',
+    body: `<section class="episodes-hero">
     <h1>Episodes</h1>
   </section>
 
   <section class="episodes-list-section">
     <div class="episodes-container">
+      ${Object.keys(topics).length || hasGuests ? `<nav class="taxonomy-browse" aria-label="Browse by topic">
+        <ul class="tag-list">
+          ${Object.entries(topics).map(([slug, term]) => `<li><a href="topics/${slug}.html" class="tag">${escapeHtml(term.name)}</a></li>`).join('\n          ')}
+          ${hasGuests ? '<li><a href="guests/index.html" class="tag tag-guest">All guests</a></li>' : ''}
+        </ul>
+      </nav>` : ''}
       <div class="episodes-search">
-        <input type="text" id="episode-search" placeholder="Search episodes..." aria-label="Search episodes">
+        <input type="text" id="episode-search" placeholder="Search episodes..." aria-label="Search episodes" data-index="search-index.json">
         <svg class="search-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.35-4.35"/></svg>
       </div>
+      <div class="episode-filters" id="episode-filters"></div>
+      <ol class="search-results" id="search-results" aria-live="polite" style="display:none;"></ol>
       <div class="episode-grid episode-grid-full" id="episodes-grid">
         ${episodes.map(ep => episodeCardHTML(ep)).join('')}
       </div>
       <p class="no-results" id="no-results" style="display:none;">No episodes found matching your search.</p>
     </div>
-  </section>
+  </section>`,
+  });
+}
 
-  ${footerHTML()}
-  <script src="js/main.js"></script>
-</body>
-</html>`;
+// Unnumbered episodes are named by title in the prev/next links
+function episodeNavLabel(ep) {
+  return ep.episode ? `Episode ${ep.episode}` : escapeHtml(truncate(ep.title, 40));
+}
+
+// Hand-listed episodes may have no audio of their own, only a page elsewhere (a video, a guest spot)
+function externalEpisodeHTML(ep) {
+  if (!ep.link) return '';
+  return `<p class="episode-external"><a href="${escapeHtml(ep.link)}" target="_blank" rel="noopener">Watch or listen on ${escapeHtml(new URL(ep.link).hostname.replace(/^www\./, ''))}</a></p>`;
 }
 
-function generateEpisodePage(ep, episodes, allEpisodes) {
-  const epIndex = allEpisodes.findIndex(e => e.episode === ep.episode);
+function generateEpisodePage(ep, episodes, allEpisodes, { player = 'buzzsprout', siteUrl = '', related = [] } = {}) {
+  const pagePath = `episodes/${episodeFilename(ep)}`;
+  const root = relativeRoot(pagePath);
+  const epIndex = allEpisodes.indexOf(ep);
   const prevEp = allEpisodes[epIndex + 1]; // older
   const nextEp = allEpisodes[epIndex - 1]; // newer
 
-  // Buzzsprout player embed
-  const playerEmbed = ep.buzzsproutId
-    ? `<div class="buzzsprout-player"><iframe src="https://www.buzzsprout.com/2117363/${ep.buzzsproutId}?client_source=small_player&iframe=true" loading="lazy" width="100%" height="200" frameborder="0" scrolling="no" title="Survivor Science, ${escapeHtml(ep.fullTitle)}"></iframe></div>`
-    : `<audio controls preload="none" class="episode-audio"><source src="${ep.audioUrl}" type="audio/mpeg">Your browser does not support the audio element.</audio>`;
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${escapeHtml(ep.fullTitle)} - Survivor Science Podcast</title>
-  <meta name="description" content="${escapeHtml(truncate(ep.description, 160))}">
-  <meta property="og:title" content="${escapeHtml(cleanDescription(stripHtml(ep.fullTitle)))}">
-  <meta property="og:description" content="${escapeHtml(truncate(ep.description, 160))}">
-  <meta property="og:image" content="${ep.episodeImage || 'images/podcast-artwork.jpg'}">
-  <meta property="og:type" content="article">
-  ${faviconHTML('../')}
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family=Figtree:wght@400;500;600;700;800;900&display=swap" rel="stylesheet">
-  <link rel="stylesheet" href="../css/style.css">
-</head>
-<body>
-  ${navHTML('episodes').replace(/href="(?!http|#|mailto)/g, 'href="../').replace(/src="(?!http|#|mailto)/g, 'src="../')}
+  // The Buzzsprout embed unless we have mirrored audio or were asked for the built-in player.
+  // js/main.js swaps the embed for the built-in player on the same audio when that has to
+  // seek (a #t= link) or play offline, so the embed carries what the player needs.
+  const useEmbed = player === 'buzzsprout' && site.buzzsproutShowId && ep.buzzsproutId && !ep.localAudio;
+  const audioSrc = ep.localAudio ? root + ep.localAudio : ep.audioUrl;
+  const audioData = audioSrc ? ` data-audio="${escapeHtml(audioSrc)}" data-title="${escapeHtml(ep.fullTitle)}" data-episode="${escapeHtml(listeningKey(ep))}"` : '';
+  const playerEmbed = useEmbed
+    ? `<div class="buzzsprout-player"${audioData}><iframe src="https://www.buzzsprout.com/${site.buzzsproutShowId}/${ep.buzzsproutId}?client_source=small_player&iframe=true" loading="lazy" width="100%" height="200" frameborder="0" scrolling="no" title="${escapeHtml(site.showName)}, ${escapeHtml(ep.fullTitle)}"></iframe></div>`
+    : audioSrc ? audioPlayerHTML(ep, audioSrc) : externalEpisodeHTML(ep);
 
-  <article class="episode-detail">
+  return renderPage({
+    path: pagePath,
+    title: `${ep.fullTitle} - ${site.showName} Podcast`,
+    description: truncate(showNotesText(ep), 160),
+    social: {
+      title: cleanDescription(stripHtml(ep.fullTitle)),
+      image: ep.shareCard || ep.episodeImage || ep.localImage || 'images/podcast-artwork.jpg',
+      imageSize: ep.shareCard ? [SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT] : null,
+      card: ep.shareCard ? 'summary_large_image' : 'summary',
+      type: 'article',
+    },
+    siteUrl,
+    active: 'episodes',
+    extraHead: jsonLdHTML(podcastEpisodeLd(ep, siteUrl)),
+    body: `<article class="episode-detail">
     <div class="episode-detail-container">
       <div class="episode-detail-main">
         <time class="episode-date">${formatDate(ep.date)}</time>
@@ -420,203 +1479,3373 @@ function generateEpisodePage(ep, episodes, allEpisodes) {
         <div class="episode-meta">
           ${ep.duration ? `<span class="episode-duration">${ep.duration}</span>` : ''}
           ${ep.season ? `<span class="episode-season">Season ${ep.season}</span>` : ''}
+          ${ep.sourceLabel ? `<span class="episode-source">${escapeHtml(ep.sourceLabel)}</span>` : ''}
         </div>
+        ${tagListHTML(ep, root)}
 
         <div class="episode-artwork-large">
-          <img src="${ep.episodeImage || '../images/podcast-artwork.jpg'}" alt="${escapeHtml(ep.fullTitle)}">
+          <img src="${episodeImageSrc(ep, root)}" alt="${escapeHtml(ep.fullTitle)}">
         </div>
 
         ${playerEmbed}
+        ${audioSrc ? `<div class="offline-save"${audioData} hidden></div>
+        <div class="share-moment" data-title="${escapeHtml(ep.fullTitle)}" hidden></div>` : ''}
 
         ${listenOnHTML()}
 
         <div class="episode-show-notes">
           <h2>Show Notes</h2>
           <div class="show-notes-content">
-            ${ep.description.replace(/^Send us a text/i, '')}
+            ${sanitizeShowNotes(ep.description, { boilerplate: boilerplatePatterns(site.showNotesBoilerplate), timestamps: Boolean(audioSrc) })}
           </div>
         </div>
+        ${ep.transcript ? transcriptHTML(ep.transcript) : ''}
+
+        ${relatedEpisodesHTML(related, root)}
+        ${topicNavHTML(ep, allEpisodes, root)}
 
         <nav class="episode-nav">
-          ${prevEp ? `<a href="${prevEp.episode}.html" class="episode-nav-link episode-nav-prev">&larr; Episode ${prevEp.episode}</a>` : '<span></span>'}
-          <a href="../episodes.html" class="episode-nav-link episode-nav-all">All Episodes</a>
-          ${nextEp ? `<a href="${nextEp.episode}.html" class="episode-nav-link episode-nav-next">Episode ${nextEp.episode} &rarr;</a>` : '<span></span>'}
+          ${prevEp ? `<a href="${root}episodes/${episodeFilename(prevEp)}" class="episode-nav-link episode-nav-prev">&larr; ${episodeNavLabel(prevEp)}</a>` : '<span></span>'}
+          <a href="${root}episodes.html" class="episode-nav-link episode-nav-all">All Episodes</a>
+          ${nextEp ? `<a href="${root}episodes/${episodeFilename(nextEp)}" class="episode-nav-link episode-nav-next">${episodeNavLabel(nextEp)} &rarr;</a>` : '<span></span>'}
         </nav>
       </div>
 
-      ${sidebarHTML(allEpisodes).replace(/href="episodes\//g, 'href="')}
+      ${partial('sidebar', { root, episodes: allEpisodes })}
     </div>
-  </article>
-
-  ${footerHTML().replace(/href="(?!http|#|mailto)/g, 'href="../').replace(/src="(?!http|#|mailto)/g, 'src="../')}
-  <script src="../js/main.js"></script>
-</body>
-</html>`;
+  </article>`,
+  });
 }
 
-function generateAboutPage(podcastMeta, episodes) {
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>About - Survivor Science Podcast Archive</title>
-  <meta name="description" content="About the Survivor Science podcast and host Will Schmierer.">
-  ${faviconHTML()}
-  <link rel="preconnect" href="https://fonts.googleapis.com">
-  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-  <link href="https://fonts.googleapis.com/css2?family=Figtree:wght@400;500;600;700;800;900&display=swap" rel="stylesheet">
-  <link rel="stylesheet" href="css/style.css">
-</head>
-<body>
-  ${navHTML('about')}
-
-  <section class="about-hero">
+function generateAboutPage(podcastMeta, episodes, { siteUrl = '' } = {}) {
+  return renderPage({
+    path: 'about.html',
+    title: `About - ${site.siteName}`,
+    description: site.about.description,
+    social: { image: 'images/og-image.png', card: 'summary_large_image' },
+    siteUrl,
+    active: 'about',
+    body: `<section class="about-hero">
     <h1>About</h1>
   </section>
 
   <section class="about-content">
     <div class="about-container">
       <div class="about-text">
-        <p>What's up Everybody! I'm Will, aka The Lovable Survivor</p>
-
-        <p>So, picture this: it's 2019, I'm 37 and just minding my own business when BAM - I become a young stroke survivor. If that wasn't enough, a couple of months later in February 2020, I get hit with another surprise - a Multiple Sclerosis diagnosis! And let's not forget that was right before the pandemic shook things up just a little bit.</p>
+        ${renderMarkdown(site.aboutMarkdown).replace(/\n\n/g, '\n\n        ')}
+      </div>
+    </div>
+  </section>`,
+  });
+}
 
-        <p>Now, as a stroke survivor, father, husband, and solopreneur I've made it my mission to help others going through a similar situation. Because let's be real, recovering from a major life event like a stroke or anything similar is no walk in the park. It's tough, overwhelming and can leave you feeling lost on where to go next. But fear not, the big man's got your back!! I'm here to help you go from "Good Enough" to "Unstoppable AF"!</p>
+const TAXONOMIES = {
+  topics: { field: 'topics', label: 'Topics', heading: name => name, blurb: 'Episodes about' },
+  guests: { field: 'guests', label: 'Guests', heading: name => `Episodes with ${name}`, blurb: 'Episodes featuring' },
+};
 
-        <p>Sure, there are a ton of doctors, therapists and people with good intentions out there but let me tell you, the best advice and lessons come from those who have been in your shoes. And guess what? That's me! Now, I don't have all the answers, but I've spent the last three years researching, brainstorming and experimenting to find out what works and what doesn't. And now, I want to share my struggles and successes with you to help you make the most of your second chance.</p>
+function taxonomySectionHTML(heading, content) {
+  return `<section class="episodes-hero">
+    <h1>${escapeHtml(heading)}</h1>
+  </section>
 
-        <p>Now, I'm not gonna sugarcoat it. There are no shortcuts or magic pills when it comes to recovery. But by sharing stories, interviews and my own personal experience, you'll be able to find what really works for you in your journey. So let's do this together and build a show and community of resilient survivors looking to take back control of their lives and make the most of their second chance!</p>
-      </div>
+  <section class="episodes-list-section">
+    <div class="episodes-container">
+      ${content}
     </div>
-  </section>
+  </section>`;
+}
 
-  ${footerHTML()}
-  <script src="js/main.js"></script>
-</body>
-</html>`;
+// topics/<slug>.html and guests/<slug>.html: every episode carrying that tag
+function generateTaxonomyPage(kind, slug, term, { siteUrl = '' } = {}) {
+  const { label, heading, blurb } = TAXONOMIES[kind];
+  const pagePath = `${kind}/${slug}.html`;
+  const root = relativeRoot(pagePath);
+  const count = `${term.episodes.length} episode${term.episodes.length === 1 ? '' : 's'}`;
+
+  return renderPage({
+    path: pagePath,
+    title: `${heading(term.name)} - ${site.siteName}`,
+    description: `${blurb} ${term.name} on the ${site.showName} podcast.`,
+    social: { image: 'images/og-image.png', card: 'summary_large_image' },
+    siteUrl,
+    body: taxonomySectionHTML(heading(term.name), `<p class="taxonomy-summary">${count} &middot; <a href="index.html">All ${label.toLowerCase()}</a> &middot; <a href="${root}episodes.html">All episodes</a></p>
+      <div class="episode-grid episode-grid-full">
+        ${term.episodes.map(ep => episodeCardHTML(ep, root)).join('')}
+      </div>`),
+  });
 }
 
-// ─── Main Build Function ────────────────────────────────────────────────────
+// topics/index.html and guests/index.html
+function generateTaxonomyIndexPage(kind, terms, { siteUrl = '' } = {}) {
+  const { label } = TAXONOMIES[kind];
 
-async function build() {
-  console.log('Survivor Science Podcast Archive Builder');
-  console.log('========================================\n');
+  return renderPage({
+    path: `${kind}/index.html`,
+    title: `${label} - ${site.siteName}`,
+    description: `Browse ${site.showName} podcast episodes by ${label.toLowerCase().replace(/s$/, '')}.`,
+    social: { image: 'images/og-image.png', card: 'summary_large_image' },
+    siteUrl,
+    body: taxonomySectionHTML(label, `<ul class="tag-list tag-list-large">
+        ${Object.entries(terms).map(([slug, term]) => `<li><a href="${slug}.html" class="tag${kind === 'guests' ? ' tag-guest' : ''}">${escapeHtml(term.name)} <span class="tag-count">${term.episodes.length}</span></a></li>`).join('\n        ')}
+      </ul>`),
+  });
+}
 
-  // Get RSS content
-  let rssContent;
-  const fileArg = process.argv.indexOf('--file');
+// ─── Archive Statistics ─────────────────────────────────────────────────────
 
-  if (fileArg !== -1 && process.argv[fileArg + 1]) {
-    const filePath = process.argv[fileArg + 1];
-    console.log(`Reading RSS from file: ${filePath}`);
-    rssContent = fs.readFileSync(filePath, 'utf-8');
-  } else {
-    console.log(`Fetching RSS from: ${RSS_URL}`);
-    rssContent = await fetchURL(RSS_URL);
-  }
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
-  console.log(`RSS content length: ${rssContent.length} characters\n`);
+function formatMonth({ year, month }) {
+  return `${MONTH_NAMES[month]} ${year}`;
+}
 
-  // Parse podcast metadata
-  const channelMatch = rssContent.match(/<channel>([\s\S]*?)<item>/);
-  const channelXml = channelMatch ? channelMatch[1] : '';
+// Every month from the first episode to the latest, empty months included
+function episodesPerMonth(episodes) {
+  const dated = episodes.filter(ep => !isNaN(ep.date));
+  if (!dated.length) return [];
+  const times = dated.map(ep => ep.date.getTime());
+  const first = new Date(Math.min(...times));
+  const last = new Date(Math.max(...times));
+  const span = (last.getFullYear() - first.getFullYear()) * 12 + last.getMonth() - first.getMonth() + 1;
+  const months = Array.from({ length: span }, (_, i) => {
+    const date = new Date(first.getFullYear(), first.getMonth() + i, 1);
+    return { year: date.getFullYear(), month: date.getMonth(), count: 0 };
+  });
+  for (const ep of dated) {
+    const index = (ep.date.getFullYear() - first.getFullYear()) * 12 + ep.date.getMonth() - first.getMonth();
+    months[index].count++;
+  }
+  return months;
+}
 
-  const podcastMeta = {
-    title: getCDATA(getTagContent(channelXml, 'title')) || 'Survivor Science',
-    description: getCDATA(getTagContent(channelXml, 'description')) || 'Stroke recovery is brutal. It takes discipline, obsession, and endless hours of work.',
-    author: getTagContent(channelXml, 'itunes:author') || 'Will Schmierer',
-    image: getAttr(channelXml, 'itunes:image', 'href') || '',
-    link: getTagContent(channelXml, 'link') || 'https://podcast.survivorscience.com',
-  };
+// Bar chart sized in viewBox units; colours come from css/style.css so reading modes apply
+function monthlyChartSVG(months) {
+  const max = Math.max(...months.map(m => m.count));
+  const step = Math.max(1, Math.ceil(max / 5));
+  const top = Math.ceil(max / step) * step;
+  const barWidth = 24;
+  const left = 32;
+  const plotHeight = 160;
+  const width = left + months.length * barWidth + 8;
+  const y = count => 10 + plotHeight - (count / top) * plotHeight;
+  const busiest = months.reduce((best, m) => (m.count > best.count ? m : best));
 
-  console.log(`Podcast: ${podcastMeta.title}`);
-  console.log(`Author: ${podcastMeta.author}`);
-  if (podcastMeta.image) {
-    console.log(`Artwork: ${podcastMeta.image}`);
+  const gridlines = [];
+  for (let count = 0; count <= top; count += step) {
+    gridlines.push(`<line class="stats-grid" x1="${left}" x2="${width - 8}" y1="${y(count)}" y2="${y(count)}"/>
+      <text class="stats-axis" x="${left - 6}" y="${y(count) + 4}" text-anchor="end">${count}</text>`);
   }
+  const bars = months.map((m, i) => {
+    const x = left + i * barWidth;
+    const label = m.month === 0 || i === 0 ? `<text class="stats-axis" x="${x + 2}" y="${y(0) + 18}">${formatMonth(m)}</text>` : '';
+    return `<rect class="stats-bar" x="${x + 2}" y="${y(m.count)}" width="${barWidth - 4}" height="${y(0) - y(m.count)}"><title>${formatMonth(m)}: ${m.count} episode${m.count === 1 ? '' : 's'}</title></rect>${label}`;
+  });
+
+  return `<svg class="stats-chart" viewBox="0 0 ${width} 200" role="img" aria-labelledby="chart-title chart-desc">
+      <title id="chart-title">Episodes per month</title>
+      <desc id="chart-desc">Episodes published each month from ${formatMonth(months[0])} to ${formatMonth(months[months.length - 1])}. The busiest month was ${formatMonth(busiest)} with ${busiest.count}.</desc>
+      ${gridlines.join('\n      ')}
+      ${bars.join('\n      ')}
+    </svg>`;
+}
+
+// The show name (current or former) a title starts with, ignoring case,
+// punctuation and a leading "The"; null when it starts with neither
+function titleShowName(title) {
+  const words = text => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().replace(/^the /, '');
+  const bare = `${words(title)} `;
+  return [site.showName, ...(site.formerNames || [])].find(name => bare.startsWith(`${words(name)} `)) || null;
+}
 
-  // Parse episodes
-  const items = getAllItems(rssContent);
-  console.log(`\nFound ${items.length} episodes in RSS feed`);
+/**
+ * Dated events for the timeline: the first and latest episodes, new seasons,
+ * every 25th episode and the rename, taken as the first episode titled with
+ * the current show name right after one titled with a former name.
+ * `milestones` in site.config.json adds more.
+ */
+function findMilestones(episodes) {
+  const oldestFirst = episodes.filter(ep => !isNaN(ep.date)).sort((a, b) => a.date - b.date);
+  if (!oldestFirst.length) return [];
+  const formerName = (site.formerNames || [])[0];
+  const milestones = [];
+  const add = (date, title, ep) => milestones.push({ date, title, ep });
 
-  const episodes = items.map(parseEpisode).sort((a, b) => {
-    // Sort by episode number descending (newest first)
-    const numA = parseInt(a.episode) || 0;
-    const numB = parseInt(b.episode) || 0;
-    if (numA !== numB) return numB - numA;
-    return b.date - a.date;
+  add(oldestFirst[0].date, formerName ? `Launched as ${formerName}` : `${site.showName} launches`, oldestFirst[0]);
+  oldestFirst.forEach((ep, i) => {
+    if (i > 0 && ep.season !== oldestFirst[i - 1].season) add(ep.date, `Season ${ep.season} begins`, ep);
+    if (ep.episode && Number(ep.episode) > 0 && Number(ep.episode) % 25 === 0) add(ep.date, `Episode ${ep.episode}`, ep);
   });
+  const titledAs = oldestFirst.map(ep => titleShowName(ep.title));
+  const renamed = titledAs.findIndex((name, i) => i > 0 && name === site.showName && titledAs[i - 1] && titledAs[i - 1] !== site.showName);
+  if (renamed > 0) add(oldestFirst[renamed].date, `Renamed ${site.showName}`, oldestFirst[renamed]);
+  for (const milestone of site.milestones || []) {
+    milestones.push({ date: new Date(`${milestone.date}T12:00:00`), title: milestone.title, description: milestone.description });
+  }
+  const latest = oldestFirst[oldestFirst.length - 1];
+  add(latest.date, 'Latest episode', latest);
 
-  episodes.forEach(ep => {
-    console.log(`  ${ep.episode ? 'Ep ' + ep.episode : '?'}: ${ep.title} (${formatDate(ep.date)})`);
+  return milestones.sort((a, b) => a.date - b.date);
+}
+
+function timelineHTML(milestones) {
+  return `<ol class="timeline">
+          ${milestones.map(m => `<li class="timeline-item">
+            <time class="episode-date" datetime="${isoDate(m.date)}">${formatDate(m.date)}</time>
+            <h3>${escapeHtml(m.title)}</h3>
+            ${m.description ? `<p>${markdownInline(m.description)}</p>` : ''}
+            ${m.ep ? `<p><a href="episodes/${episodeFilename(m.ep)}">${m.ep.episode ? m.ep.episode + '. ' : ''}${escapeHtml(m.ep.title)}</a></p>` : ''}
+          </li>`).join('\n          ')}
+        </ol>`;
+}
+
+function generateStatsPage(episodes, { siteUrl = '' } = {}) {
+  const timed = episodes.map(ep => ({ ep, seconds: durationSeconds(ep.durationRaw) })).filter(t => t.seconds > 0);
+  const total = timed.reduce((sum, t) => sum + t.seconds, 0);
+  const byLength = [...timed].sort((a, b) => b.seconds - a.seconds);
+  const months = episodesPerMonth(episodes);
+  const guests = Object.entries(collectTaxonomy(episodes, 'guests'))
+    .sort((a, b) => b[1].episodes.length - a[1].episodes.length || a[1].name.localeCompare(b[1].name));
+  const withGuests = episodes.filter(ep => ep.guests && ep.guests.length).length;
+  const episodeLink = ({ ep, seconds }) => `<li><a href="episodes/${episodeFilename(ep)}">${ep.episode ? ep.episode + '. ' : ''}${escapeHtml(ep.title)}</a> <span class="stats-runtime">${formatDuration(seconds)}</span></li>`;
+
+  return renderPage({
+    path: 'stats.html',
+    title: `Archive Stats - ${site.siteName}`,
+    description: `${episodes.length} episodes of ${site.showName}${months.length ? ` from ${formatMonth(months[0])} to ${formatMonth(months[months.length - 1])}` : ''}, in numbers.`,
+    siteUrl,
+    body: `<section class="episodes-hero">
+    <h1>The Archive in Numbers</h1>
+  </section>
+
+  <section class="stats-content">
+    <div class="stats-container">
+      <dl class="stats-summary">
+        <div><dt>Episodes</dt><dd>${episodes.length}</dd></div>
+        <div><dt>Total runtime</dt><dd>${timed.length ? formatDuration(total) : '—'}</dd></div>
+        <div><dt>Average episode</dt><dd>${timed.length ? formatDuration(Math.round(total / timed.length)) : '—'}</dd></div>
+        <div><dt>Guests</dt><dd>${guests.length}</dd></div>
+      </dl>
+      ${months.length ? `
+      <h2>Episodes per Month</h2>
+      ${monthlyChartSVG(months)}
+      <details class="stats-table">
+        <summary>Show as a table</summary>
+        <table>
+          <thead><tr><th scope="col">Month</th><th scope="col">Episodes</th></tr></thead>
+          <tbody>
+            ${months.map(m => `<tr><td>${formatMonth(m)}</td><td>${m.count}</td></tr>`).join('\n            ')}
+          </tbody>
+        </table>
+      </details>` : ''}
+      ${timed.length ? `
+      <div class="stats-columns">
+        <div>
+          <h2>Longest Episodes</h2>
+          <ol class="stats-list">
+            ${byLength.slice(0, 3).map(episodeLink).join('\n            ')}
+          </ol>
+        </div>
+        <div>
+          <h2>Shortest Episodes</h2>
+          <ol class="stats-list">
+            ${byLength.slice(-3).reverse().map(episodeLink).join('\n            ')}
+          </ol>
+        </div>
+      </div>` : ''}
+      ${guests.length ? `
+      <h2>Guests</h2>
+      <p>${guests.length} guest${guests.length === 1 ? '' : 's'} across ${withGuests} episode${withGuests === 1 ? '' : 's'}.</p>
+      <ul class="tag-list tag-list-large">
+        ${guests.map(([slug, term]) => `<li><a href="guests/${slug}.html" class="tag tag-guest">${escapeHtml(term.name)} <span class="tag-count">${term.episodes.length}</span></a></li>`).join('\n        ')}
+      </ul>` : ''}
+
+      <h2>Timeline</h2>
+      ${timelineHTML(findMilestones(episodes))}
+    </div>
+  </section>`,
   });
+}
 
-  // Download artwork if we have a URL
-  const artworkPath = path.join(OUTPUT_DIR, 'images', 'podcast-artwork.jpg');
-  if (podcastMeta.image && !fs.existsSync(artworkPath)) {
-    console.log('\nDownloading podcast artwork...');
-    try {
-      const artworkData = await fetchBinary(podcastMeta.image);
-      fs.writeFileSync(artworkPath, artworkData);
-      console.log('Artwork saved to images/podcast-artwork.jpg');
-    } catch (err) {
-      console.log(`Could not download artwork: ${err.message}`);
-      console.log('Please manually save artwork to images/podcast-artwork.jpg');
+// ─── RSS Feed ───────────────────────────────────────────────────────────────
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function cdata(text) {
+  // "]]>" cannot appear inside a CDATA section, so split it across two
+  return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+// Rewrite an enclosure URL onto the mirror, at the path --mirror stores it under
+// in the media directory (audio/<name>), so the mirror is a copy of that directory
+function mirrorURL(url, mirrorBase) {
+  if (!mirrorBase || !url) return url;
+  return `${mirrorBase.replace(/\/+$/, '')}/audio/${mediaFilename(url)}`;
+}
+
+function feedItemXML(ep, mirrorBase) {
+  return `
+    <item>
+      <title>${escapeXml(ep.fullTitle)}</title>
+      <itunes:title>${escapeXml(ep.title)}</itunes:title>
+      <description>${cdata(ep.description)}</description>
+      ${ep.summary !== ep.description ? `<itunes:summary>${cdata(ep.summary)}</itunes:summary>` : ''}
+      <guid isPermaLink="${ep.guidIsPermaLink}">${escapeXml(ep.guid || ep.audioUrl)}</guid>
+      <pubDate>${escapeXml(ep.pubDate)}</pubDate>
+      <enclosure url="${escapeXml(mirrorURL(ep.audioUrl, mirrorBase))}"${ep.audioLength ? ` length="${escapeXml(ep.audioLength)}"` : ''} type="${escapeXml(ep.audioType)}" />
+      ${ep.durationRaw ? `<itunes:duration>${escapeXml(ep.durationRaw)}</itunes:duration>` : ''}
+      ${ep.episode ? `<itunes:episode>${escapeXml(ep.episode)}</itunes:episode>` : ''}
+      <itunes:season>${escapeXml(ep.season)}</itunes:season>
+      <itunes:episodeType>${escapeXml(ep.episodeType)}</itunes:episodeType>
+      ${ep.episodeImage ? `<itunes:image href="${escapeXml(ep.episodeImage)}" />` : ''}
+      <itunes:explicit>${ep.explicit}</itunes:explicit>
+    </item>`;
+}
+
+function generateFeed(episodes, podcastMeta, { mirrorBase } = {}) {
+  // Hand-listed episodes with only a link have nothing to enclose
+  const items = episodes.filter(ep => ep.audioUrl);
+  const categories = podcastMeta.categories.map(cat => cat.subcategories.length
+    ? `<itunes:category text="${escapeXml(cat.text)}">${cat.subcategories.map(sub => `<itunes:category text="${escapeXml(sub)}" />`).join('')}</itunes:category>`
+    : `<itunes:category text="${escapeXml(cat.text)}" />`).join('\n    ');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="${XML_NAMESPACES.itunes}">
+  <channel>
+    <title>${escapeXml(podcastMeta.title)}</title>
+    <link>${escapeXml(podcastMeta.link)}</link>
+    <description>${cdata(podcastMeta.description)}</description>
+    <language>${escapeXml(podcastMeta.language)}</language>
+    ${podcastMeta.copyright ? `<copyright>${escapeXml(podcastMeta.copyright)}</copyright>` : ''}
+    ${episodes.length ? `<lastBuildDate>${episodes[0].date.toUTCString()}</lastBuildDate>` : ''}
+    <itunes:author>${escapeXml(podcastMeta.author)}</itunes:author>
+    <itunes:type>${escapeXml(podcastMeta.type)}</itunes:type>
+    <itunes:explicit>${podcastMeta.explicit}</itunes:explicit>
+    ${podcastMeta.image ? `<itunes:image href="${escapeXml(podcastMeta.image)}" />
+    <image>
+      <url>${escapeXml(podcastMeta.image)}</url>
+      <title>${escapeXml(podcastMeta.title)}</title>
+      <link>${escapeXml(podcastMeta.link)}</link>
+    </image>` : ''}
+    ${categories}
+    ${podcastMeta.owner.name || podcastMeta.owner.email ? `<itunes:owner>
+      <itunes:name>${escapeXml(podcastMeta.owner.name)}</itunes:name>
+      <itunes:email>${escapeXml(podcastMeta.owner.email)}</itunes:email>
+    </itunes:owner>` : ''}
+    ${items.map(ep => feedItemXML(ep, mirrorBase)).join('')}
+  </channel>
+</rss>
+`;
+}
+
+// ─── Machine-Readable Exports ───────────────────────────────────────────────
+//
+// For tools built on the archive: api/episodes.json (every episode),
+// api/episodes/<slug>.json (one each), api/episodes.csv and a JSON Feed 1.1
+// feed.json. The episode shape is pinned by API_EPISODE_SCHEMA, which is
+// published as api/schema.json and checked against every record the build
+// writes, so a change to it fails the build instead of breaking consumers.
+// Changing a field means bumping API_VERSION and updating the schema. Show
+// notes are published sanitized, the same HTML the episode pages show.
+
+const API_VERSION = 3;
+const schemaText = description => ({ type: 'string', description });
+const API_EPISODE_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    slug: schemaText('Stable URL slug: the episode number, or a slug of the title for unnumbered episodes'),
+    url: schemaText('Episode page URL (absolute when the site URL is known)'),
+    title: schemaText('Title without its leading episode number'),
+    fullTitle: schemaText('Title as it appears in the feed'),
+    description: schemaText('Show notes as sanitized HTML: no scripts, event handlers, styles or tracking pixels'),
+    descriptionText: schemaText('Show notes as plain text'),
+    summary: schemaText('itunes:summary as plain text, or descriptionText when the feed has none'),
+    pubDate: schemaText('Publication date as given in the feed (RFC 822)'),
+    date: { type: ['string', 'null'], format: 'date-time', description: 'Publication date, ISO 8601 in UTC; null when the feed gives none that parses' },
+    duration: schemaText('Human-readable duration, e.g. "1h 10m"; empty when unknown'),
+    durationRaw: schemaText('itunes:duration as given in the feed: seconds or [hh:]mm:ss'),
+    durationSeconds: { type: 'integer', minimum: 0, description: 'Duration in seconds; 0 when unknown' },
+    episode: schemaText('Episode number as a string; empty for unnumbered episodes'),
+    season: schemaText('Season number as a string'),
+    explicit: { type: 'boolean', description: 'itunes:explicit' },
+    episodeType: { type: 'string', enum: ['full', 'trailer', 'bonus'], description: 'itunes:episodeType' },
+    audioUrl: schemaText('Enclosure URL; empty for episodes that only link elsewhere'),
+    audioLength: schemaText('Enclosure length in bytes as a string; empty when unknown'),
+    audioType: schemaText('Enclosure MIME type'),
+    episodeImage: schemaText('Episode artwork URL; empty when the episode uses the show artwork'),
+    transcripts: {
+      type: 'array',
+      description: 'podcast:transcript links from the feed',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: { url: schemaText('Transcript URL'), type: schemaText('MIME type'), language: schemaText('Language code; may be empty') },
+        required: ['url', 'type', 'language'],
+      },
+    },
+    chaptersUrl: schemaText('podcast:chapters URL; empty when there is none'),
+    buzzsproutId: schemaText('Buzzsprout episode ID; empty when not hosted on Buzzsprout'),
+    guid: schemaText('Item guid; empty for hand-listed episodes without one'),
+    guidIsPermaLink: { type: 'boolean', description: 'Whether the guid is a URL' },
+    link: schemaText('Item link, e.g. a video or guest appearance; often empty'),
+    guests: { type: 'array', items: { type: 'string' }, description: 'Guest names from episode-metadata.json' },
+    topics: { type: 'array', items: { type: 'string' }, description: 'Topic names from episode-metadata.json' },
+    source: schemaText('Name of the feed source the episode was taken from ("main" for the show feed)'),
+    sources: { type: 'array', items: { type: 'string' }, description: 'Every feed source the episode appeared in' },
+  },
+};
+API_EPISODE_SCHEMA.required = Object.keys(API_EPISODE_SCHEMA.properties);
+
+function apiSchema(siteUrl) {
+  const version = { const: API_VERSION, description: 'Bumped whenever a field is added, removed or changes meaning' };
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: absoluteURL(siteUrl, 'api/schema.json'),
+    title: `${site.siteName} API, version ${API_VERSION}`,
+    description: 'Schema for api/episodes.json. Each api/episodes/<slug>.json matches $defs/episodeDocument; an episode whose slug changed is also kept under its old slug.',
+    type: 'object',
+    additionalProperties: false,
+    required: ['version', 'show', 'count', 'episodes'],
+    properties: {
+      version,
+      show: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title', 'siteUrl', 'feedUrl', 'description', 'image'],
+        properties: {
+          title: schemaText('Show name'),
+          siteUrl: schemaText('Archive URL; empty when the build had none'),
+          feedUrl: schemaText('The archive\'s RSS feed'),
+          description: schemaText('Show description as sanitized HTML'),
+          image: schemaText('Show artwork URL'),
+        },
+      },
+      count: { type: 'integer', minimum: 0, description: 'Number of episodes' },
+      episodes: { type: 'array', items: { $ref: '#/$defs/episode' }, description: 'Newest first' },
+    },
+    $defs: {
+      episode: API_EPISODE_SCHEMA,
+      episodeDocument: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['version', 'episode'],
+        properties: { version, episode: { $ref: '#/$defs/episode' } },
+      },
+    },
+  };
+}
+
+// The subset of JSON Schema the API schema uses; returns "path: problem" strings
+function schemaErrors(value, schema, root, at = '$') {
+  if (schema.$ref) return schemaErrors(value, root.$defs[schema.$ref.replace('#/$defs/', '')], root, at);
+  const typeOf = v => (v === null ? 'null' : Array.isArray(v) ? 'array' : Number.isInteger(v) ? 'integer' : typeof v);
+  if ('const' in schema && value !== schema.const) return [`${at}: expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`];
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some(type => typeOf(value) === type || (type === 'number' && typeOf(value) === 'integer'))) {
+    return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) return [`${at}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+  if (schema.minimum !== undefined && value < schema.minimum) return [`${at}: below ${schema.minimum}`];
+  if (schema.format === 'date-time' && typeof value === 'string' && isNaN(new Date(value))) return [`${at}: not a date-time`];
+  const errors = [];
+  if (schema.type === 'array' && schema.items) value.forEach((item, i) => errors.push(...schemaErrors(item, schema.items, root, `${at}[${i}]`)));
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) if (!(key in value)) errors.push(`${at}.${key}: missing`);
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties && key in schema.properties) errors.push(...schemaErrors(item, schema.properties[key], root, `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key}: not in the schema`);
     }
   }
+  return errors;
+}
 
-  // Generate pages
-  console.log('\nGenerating HTML pages...');
+function apiEpisode(ep, siteUrl) {
+  return {
+    slug: String(episodeSlug(ep)),
+    url: absoluteURL(siteUrl, `episodes/${episodeFilename(ep)}`),
+    title: ep.title,
+    fullTitle: ep.fullTitle,
+    description: showNotesHTML(ep),
+    descriptionText: showNotesText(ep),
+    summary: ep.summary && ep.summary !== ep.description
+      ? plainText(sanitizeShowNotes(ep.summary, { boilerplate: boilerplatePatterns(site.showNotesBoilerplate) }))
+      : showNotesText(ep),
+    pubDate: ep.pubDate,
+    date: isNaN(ep.date) ? null : ep.date.toISOString(),
+    duration: ep.duration,
+    durationRaw: ep.durationRaw,
+    durationSeconds: durationSeconds(ep.durationRaw),
+    episode: ep.episode,
+    season: ep.season,
+    explicit: ep.explicit,
+    episodeType: ep.episodeType,
+    audioUrl: ep.audioUrl,
+    audioLength: ep.audioLength,
+    audioType: ep.audioType,
+    episodeImage: ep.episodeImage,
+    transcripts: ep.transcripts.map(({ url, type, language }) => ({ url, type, language })),
+    chaptersUrl: ep.chaptersUrl,
+    buzzsproutId: ep.buzzsproutId,
+    guid: ep.guid,
+    guidIsPermaLink: ep.guidIsPermaLink,
+    link: ep.link,
+    guests: ep.guests || [],
+    topics: ep.topics || [],
+    source: ep.source,
+    sources: ep.sources,
+  };
+}
+
+/**
+ * Every API document by path, checked against the schema. Pretty-printed,
+ * without build timestamps, so unchanged episodes produce identical files.
+ * `redirects` ({ oldSlug: episode }, from assignSlugs) keep answering at the
+ * old slug with the episode's current record.
+ */
+function generateApiFiles(episodes, podcastMeta, { siteUrl = '', redirects = {} } = {}) {
+  const schema = apiSchema(siteUrl);
+  const records = episodes.map(ep => apiEpisode(ep, siteUrl));
+  const index = {
+    version: API_VERSION,
+    show: {
+      title: site.showName,
+      siteUrl,
+      feedUrl: absoluteURL(siteUrl, 'feed.xml'),
+      description: showDescriptionHTML(podcastMeta),
+      image: podcastMeta.image || absoluteURL(siteUrl, 'images/podcast-artwork.jpg'),
+    },
+    count: records.length,
+    episodes: records,
+  };
+  const errors = schemaErrors(index, schema, schema);
+  if (errors.length) {
+    throw new Error(`api/episodes.json does not match api/schema.json (bump API_VERSION and update the schema if this is intended):\n  - ${errors.slice(0, 20).join('\n  - ')}`);
+  }
+
+  const json = value => JSON.stringify(value, null, 2) + '\n';
+  const files = { 'api/schema.json': json(schema), 'api/episodes.json': json(index), 'api/episodes.csv': episodesCSV(records) };
+  for (const record of records) files[`api/episodes/${record.slug}.json`] = json({ version: API_VERSION, episode: record });
+  for (const [slug, ep] of Object.entries(redirects)) {
+    files[`api/episodes/${slug}.json`] = files[`api/episodes/${episodeSlug(ep)}.json`];
+  }
+  return files;
+}
 
-  // Homepage
-  fs.writeFileSync(path.join(OUTPUT_DIR, 'index.html'), generateHomePage(episodes, podcastMeta));
-  console.log('  index.html');
+const CSV_COLUMNS = ['episode', 'season', 'title', 'date', 'durationSeconds', 'url', 'audioUrl', 'guid', 'guests', 'topics', 'source'];
 
-  // Episodes listing page
-  fs.writeFileSync(path.join(OUTPUT_DIR, 'episodes.html'), generateEpisodesPage(episodes));
-  console.log('  episodes.html');
+// RFC 4180: CRLF rows, fields quoted when they hold a comma, quote or line break; lists joined
+// with "; " and a null date left empty
+function episodesCSV(records) {
+  const field = (value) => {
+    const cell = Array.isArray(value) ? value.join('; ') : value === null ? '' : String(value);
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  };
+  const rows = records.map(record => CSV_COLUMNS.map(column => field(column === 'title' ? record.fullTitle : record[column])));
+  return [CSV_COLUMNS, ...rows].map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+// https://www.jsonfeed.org/version/1.1/; URLs are left out when there is no site URL to make them absolute
+function generateJSONFeed(episodes, podcastMeta, { siteUrl = '', mirrorBase = '' } = {}) {
+  const absolute = relPath => (siteUrl ? absoluteURL(siteUrl, relPath) : undefined);
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: podcastMeta.title,
+    home_page_url: absolute(''),
+    feed_url: absolute('feed.json'),
+    description: plainText(showDescriptionHTML(podcastMeta)),
+    icon: podcastMeta.image || absolute('images/podcast-artwork.jpg'),
+    favicon: absolute('images/favicon-32x32.png'),
+    authors: [{ name: podcastMeta.author }],
+    language: podcastMeta.language,
+    items: episodes.map((ep) => {
+      const url = absolute(`episodes/${episodeFilename(ep)}`);
+      const seconds = durationSeconds(ep.durationRaw);
+      const tags = [...(ep.guests || []), ...(ep.topics || [])];
+      return {
+        id: ep.guid || url || episodeFilename(ep),
+        url,
+        external_url: ep.link || undefined,
+        title: ep.fullTitle,
+        content_html: showNotesHTML(ep),
+        content_text: showNotesText(ep),
+        summary: truncate(showNotesText(ep), 300),
+        image: ep.episodeImage || undefined,
+        date_published: isNaN(ep.date) ? undefined : ep.date.toISOString(),
+        tags: tags.length ? tags : undefined,
+        attachments: ep.audioUrl ? [{
+          url: mirrorURL(ep.audioUrl, mirrorBase),
+          mime_type: ep.audioType,
+          size_in_bytes: Number(ep.audioLength) || undefined,
+          duration_in_seconds: seconds || undefined,
+        }] : undefined,
+      };
+    }),
+  };
+  return JSON.stringify(feed, null, 2) + '\n';
+}
 
-  // About page
-  fs.writeFileSync(path.join(OUTPUT_DIR, 'about.html'), generateAboutPage(podcastMeta, episodes));
-  console.log('  about.html');
+// ─── Search Index ───────────────────────────────────────────────────────────
+// Tokenizing and stemming must stay in step with the query side in js/main.js.
 
-  // Individual episode pages
-  const episodesDir = path.join(OUTPUT_DIR, 'episodes');
-  if (!fs.existsSync(episodesDir)) fs.mkdirSync(episodesDir, { recursive: true });
+const SEARCH_STOPWORDS = new Set(('a an and are as at be but by for from has have how i if in into is it its ' +
+  'me my not of on or our so that the their them then there these they this to was we what when where which ' +
+  'who why will with you your').split(' '));
 
-  for (const ep of episodes) {
-    const filename = `${ep.episode || slugify(ep.title)}.html`;
-    fs.writeFileSync(
-      path.join(episodesDir, filename),
-      generateEpisodePage(ep, episodes, episodes)
-    );
-    console.log(`  episodes/${filename}`);
+// Field weights: a word in the title counts for more than one in the notes or transcript
+const SEARCH_WEIGHTS = { title: 6, tags: 4, notes: 2, transcript: 1 };
+
+function stemWord(word) {
+  if (word.length <= 4 || /\d/.test(word)) return word;
+  let stem = word;
+  if (stem.endsWith('ies')) {
+    stem = stem.slice(0, -3) + 'y';
+  } else {
+    for (const suffix of ['ingly', 'edly', 'ing', 'ness', 'ment', 'ed', 'ly', 's']) {
+      if (!stem.endsWith(suffix) || stem.length - suffix.length < 3) continue;
+      if (suffix === 's' && /[su]s$|is$/.test(stem)) break;
+      stem = stem.slice(0, -suffix.length);
+      break;
+    }
   }
+  // "stopping" -> "stop", "stroke"/"strokes" -> "strok"
+  if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+  if (stem.length > 3 && stem.endsWith('e')) stem = stem.slice(0, -1);
+  return stem;
+}
 
-  console.log(`\nBuild complete! ${episodes.length} episode pages generated.`);
-  console.log('Open index.html in your browser to preview.');
+function searchTokens(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !SEARCH_STOPWORDS.has(word))
+    .map(stemWord);
 }
 
-function fetchBinary(url) {
-  return new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
-    client.get(url, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchBinary(res.headers.location).then(resolve).catch(reject);
-      }
-      if (res.statusCode !== 200) {
-        return reject(new Error(`HTTP ${res.statusCode}`));
-      }
-      const chunks = [];
-      res.on('data', chunk => chunks.push(chunk));
-      res.on('end', () => resolve(Buffer.concat(chunks)));
-      res.on('error', reject);
-    }).on('error', reject);
+// Stem -> summed field weight for one episode, shared by search and related episodes
+function episodeTermWeights(ep) {
+  const weights = new Map();
+  const fields = {
+    title: ep.fullTitle,
+    tags: [...(ep.guests || []), ...(ep.topics || [])].join(' '),
+    notes: showNotesText(ep),
+    transcript: ep.transcriptText || '',
+  };
+  for (const [field, text] of Object.entries(fields)) {
+    for (const token of searchTokens(text)) {
+      weights.set(token, (weights.get(token) || 0) + SEARCH_WEIGHTS[field]);
+    }
+  }
+  return weights;
+}
+
+/**
+ * Inverted index over titles, show notes and transcripts. `terms` maps each
+ * stem to a flat [docIndex, weight, docIndex, weight, ...] list; `docs` keeps
+ * what the results list shows, including the notes text used for snippets.
+ */
+function buildSearchIndex(episodes) {
+  const terms = {};
+  const docs = episodes.map((ep, docIndex) => {
+    const notes = showNotesText(ep);
+    for (const [token, weight] of episodeTermWeights(ep)) {
+      (terms[token] = terms[token] || []).push(docIndex, weight);
+    }
+    return {
+      url: `episodes/${episodeFilename(ep)}`,
+      title: `${ep.episode ? ep.episode + '. ' : ''}${ep.title}`,
+      date: formatDate(ep.date),
+      text: notes,
+    };
   });
+
+  const sortedTerms = {};
+  for (const token of Object.keys(terms).sort()) sortedTerms[token] = terms[token];
+  return { version: 1, docs, terms: sortedTerms };
 }
 
-build().catch(err => {
-  console.error('Build failed:', err);
-  process.exit(1);
-});
+// ─── Related Episodes ───────────────────────────────────────────────────────
+
+const RELATED_COUNT = 4;
+
+/**
+ * TF-IDF over the same weighted fields as the search index, compared by
+ * cosine similarity. Returns a Map from each episode to its most similar
+ * others, best first; episodes that share nothing distinctive get none.
+ */
+function findRelatedEpisodes(episodes, count = RELATED_COUNT) {
+  const termWeights = episodes.map(episodeTermWeights);
+  const docFrequency = new Map();
+  for (const weights of termWeights) {
+    for (const token of weights.keys()) docFrequency.set(token, (docFrequency.get(token) || 0) + 1);
+  }
+
+  const vectors = termWeights.map(weights => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [token, weight] of weights) {
+      const idf = Math.log(episodes.length / docFrequency.get(token));
+      if (idf <= 0) continue;
+      const value = (1 + Math.log(weight)) * idf;
+      vector.set(token, value);
+      norm += value * value;
+    }
+    return { vector, norm: Math.sqrt(norm) };
+  });
+
+  const similarity = (a, b) => {
+    if (!a.norm || !b.norm) return 0;
+    const [small, large] = a.vector.size < b.vector.size ? [a, b] : [b, a];
+    let dot = 0;
+    for (const [token, value] of small.vector) dot += value * (large.vector.get(token) || 0);
+    return dot / (a.norm * b.norm);
+  };
+
+  const related = new Map();
+  episodes.forEach((ep, i) => {
+    const scored = [];
+    episodes.forEach((other, j) => {
+      const score = i === j ? 0 : similarity(vectors[i], vectors[j]);
+      if (score > 0) scored.push({ other, score });
+    });
+    scored.sort((a, b) => b.score - a.score || b.other.date - a.other.date);
+    related.set(ep, scored.slice(0, count).map(({ other }) => other));
+  });
+  return related;
+}
+
+// Older and newer episodes on each of ep's topics (the list is newest first)
+function topicNeighbours(ep, episodes) {
+  return (ep.topics || []).map(name => {
+    const inTopic = episodes.filter(other => (other.topics || []).includes(name));
+    const index = inTopic.indexOf(ep);
+    return { name, previous: inTopic[index + 1], next: inTopic[index - 1] };
+  }).filter(topic => topic.previous || topic.next);
+}
+
+function relatedEpisodesHTML(related, root) {
+  if (!related.length) return '';
+  return `<section class="related-episodes" aria-labelledby="related-heading">
+          <h2 id="related-heading">You might also like</h2>
+          <ul class="related-list">
+            ${related.map(ep => `<li class="related-item">
+              <a href="${root}episodes/${episodeFilename(ep)}">
+                <img src="${episodeImageSrc(ep, root)}" alt="" loading="lazy">
+                <span class="related-title">${ep.episode ? ep.episode + '. ' : ''}${escapeHtml(ep.title)}</span>
+              </a>
+              <time class="episode-date">${formatDate(ep.date)}</time>
+            </li>`).join('\n            ')}
+          </ul>
+        </section>`;
+}
+
+function topicNavHTML(ep, episodes, root) {
+  const topics = topicNeighbours(ep, episodes);
+  if (!topics.length) return '';
+  const link = (other, rel, label) => `<a href="${root}episodes/${episodeFilename(other)}" class="topic-nav-${rel}"><span class="topic-nav-label">${label}</span> ${escapeHtml(other.title)}</a>`;
+  return `<div class="topic-nav">
+          ${topics.map(({ name, previous, next }) => `<nav class="topic-nav-row" aria-label="More on ${escapeHtml(name)}">
+            <a href="${root}topics/${slugify(name)}.html" class="topic-nav-topic tag">${escapeHtml(name)}</a>
+            ${previous ? link(previous, 'previous', '&larr; Previous:') : ''}
+            ${next ? link(next, 'next', 'Next up:') : ''}
+          </nav>`).join('\n          ')}
+        </div>`;
+}
+
+// ─── Transcripts ────────────────────────────────────────────────────────────
+
+const TRANSCRIPTS_DIR = path.join(OUTPUT_DIR, 'transcripts');
+const REMOTE_CACHE_DIR = path.join(OUTPUT_DIR, '.cache', 'remote');
+
+// Feed transcript MIME types we can render, most structured first
+const TRANSCRIPT_TYPES = {
+  'application/json': 'json',
+  'application/json+transcript': 'json',
+  'text/vtt': 'vtt',
+  'application/srt': 'srt',
+  'application/x-subrip': 'srt',
+  'text/srt': 'srt',
+};
+
+// "01:02:03,500", "02:03.500" or "2:03" -> seconds
+function parseTimestamp(text) {
+  const match = String(text).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?$/);
+  if (!match) return NaN;
+  const [, h, m, sec, ms] = match;
+  return (parseInt(h || '0', 10) * 3600) + (parseInt(m, 10) * 60) + parseInt(sec, 10) + (ms ? parseInt(ms.padEnd(3, '0'), 10) / 1000 : 0);
+}
+
+function formatTimestamp(seconds) {
+  const s = Math.floor(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// "Will Schmierer: Hello" -> speaker and text; only short, capitalised labels count
+function splitSpeaker(text) {
+  const match = text.match(/^([A-Z][^:\n]{0,39}):\s+([\s\S]*)$/);
+  if (match && match[1].split(/\s+/).length <= 4) return { speaker: match[1].trim(), text: match[2] };
+  return { speaker: '', text };
+}
+
+// Shared by SRT and WebVTT: blocks separated by blank lines, each with a "start --> end" line
+function parseCueBlocks(content, format) {
+  const cues = [];
+  const blocks = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue; // header, NOTE, STYLE or sequence-number-only block
+
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    if (isNaN(start)) throw new Error(`bad ${format} timestamp "${lines[timingIndex]}"`);
+
+    let raw = lines.slice(timingIndex + 1).join(' ').trim();
+    let speaker = '';
+    const voice = raw.match(/^<v(?:\.[\w.]+)?\s+([^>]+)>/);
+    if (voice) speaker = voice[1].trim();
+    raw = stripHtml(raw.replace(/<\d+:[\d:.]+>/g, '')).replace(/\s+/g, ' ').trim();
+    if (!speaker) ({ speaker, text: raw } = splitSpeaker(raw));
+    if (raw) cues.push({ start, end: isNaN(end) ? start : end, speaker, text: raw });
+  }
+  return cues;
+}
+
+function parseJSONTranscript(content) {
+  const data = JSON.parse(content);
+  if (!Array.isArray(data.segments)) throw new Error('JSON transcript has no "segments" array');
+  return data.segments
+    .filter(seg => seg.body && seg.body.trim())
+    .map(seg => ({
+      start: Number(seg.startTime) || 0,
+      end: Number(seg.endTime) || Number(seg.startTime) || 0,
+      speaker: seg.speaker || '',
+      text: seg.body.trim(),
+    }));
+}
+
+function parseTranscript(content, format) {
+  if (format === 'json') return parseJSONTranscript(content);
+  if (format === 'vtt' && !/^\uFEFF?WEBVTT/.test(content)) throw new Error('WebVTT transcript is missing its WEBVTT header');
+  return parseCueBlocks(content, format);
+}
+
+// Transcript and chapter files don't change once published, so keep them between builds
+async function fetchCached(url, { force = false, offline = false } = {}) {
+  const cachePath = path.join(REMOTE_CACHE_DIR, sha256(url));
+  if (!force && fs.existsSync(cachePath)) return fs.readFileSync(cachePath, 'utf-8');
+  if (offline) throw new Error(`${url} is not cached (--cached makes no requests)`);
+  const { body } = await fetchURL(url);
+  fs.mkdirSync(REMOTE_CACHE_DIR, { recursive: true });
+  fs.writeFileSync(cachePath, body);
+  return body;
+}
+
+// Local transcripts/<episode>.<ext> first, then the best feed transcript we can parse
+async function loadTranscript(ep, { force = false, offline = false } = {}) {
+  for (const key of episodeKeys(ep)) {
+    for (const format of ['json', 'vtt', 'srt']) {
+      const localPath = path.join(TRANSCRIPTS_DIR, `${key}.${format}`);
+      if (fs.existsSync(localPath)) {
+        return { source: path.relative(OUTPUT_DIR, localPath), cues: parseTranscript(fs.readFileSync(localPath, 'utf-8'), format) };
+      }
+    }
+  }
+
+  const candidates = (ep.transcripts || [])
+    .filter(t => t.url && TRANSCRIPT_TYPES[t.type])
+    .sort((a, b) => Object.keys(TRANSCRIPT_TYPES).indexOf(a.type) - Object.keys(TRANSCRIPT_TYPES).indexOf(b.type));
+  // A candidate that won't download or parse falls through to the next one;
+  // the errors are only reported when none of them work
+  const errors = [];
+  for (const candidate of candidates) {
+    try {
+      const content = await fetchCached(candidate.url, { force, offline });
+      return { source: candidate.url, cues: parseTranscript(content, TRANSCRIPT_TYPES[candidate.type]) };
+    } catch (err) {
+      errors.push(`${candidate.type}: ${err.message}`);
+    }
+  }
+  if (errors.length) throw new Error(errors.join('; '));
+  return null;
+}
+
+async function attachTranscripts(episodes, options) {
+  let found = 0;
+  for (const ep of episodes) {
+    try {
+      const transcript = await loadTranscript(ep, options);
+      if (!transcript || !transcript.cues.length) continue;
+      ep.transcript = transcript.cues;
+      ep.transcriptText = transcript.cues.map(cue => cue.text).join(' ');
+      found++;
+    } catch (err) {
+      console.log(`  Could not load transcript for ${ep.episode ? 'Ep ' + ep.episode : ep.title}: ${err.message}`);
+    }
+  }
+  return found;
+}
+
+// Group cues into paragraphs: a new one on each change of speaker, or at a
+// sentence end once the current paragraph runs past 45 seconds
+function transcriptParagraphs(cues) {
+  const paragraphs = [];
+  let current = null;
+  for (const cue of cues) {
+    const longEnough = current && cue.start - current.start > 45 && /[.?!]["'”]?$/.test(current.text);
+    if (!current || cue.speaker !== current.speaker || longEnough) {
+      current = { start: cue.start, speaker: cue.speaker, text: cue.text };
+      paragraphs.push(current);
+    } else {
+      current.text += ` ${cue.text}`;
+    }
+  }
+  return paragraphs;
+}
+
+function transcriptHTML(cues) {
+  const paragraphs = transcriptParagraphs(cues).map(para => `
+            <p class="transcript-para">
+              <time class="transcript-time" datetime="PT${Math.floor(para.start)}S" data-start="${Math.floor(para.start)}">${formatTimestamp(para.start)}</time>
+              ${para.speaker ? `<strong class="transcript-speaker">${escapeHtml(para.speaker)}</strong>` : ''}
+              ${escapeHtml(para.text)}
+            </p>`).join('');
+  return `
+        <details class="episode-transcript" open>
+          <summary><h2>Transcript</h2></summary>
+          <div class="transcript-content">${paragraphs}
+          </div>
+        </details>`;
+}
+
+// ─── Show Notes ─────────────────────────────────────────────────────────────
+//
+// Feed HTML goes through an allowlist before it reaches a page: unknown tags are
+// unwrapped, scripts and embeds are dropped with their content, attributes are
+// limited per tag and URLs to http(s)/mailto. Boilerplate blocks are removed,
+// bare URLs become links and, when the episode has audio, timestamps become #t=
+// links that seek it.
+
+const SHOW_NOTES_TAGS = {
+  p: [], br: [], hr: [], b: [], strong: [], i: [], em: [], u: [], s: [], sub: [], sup: [],
+  code: [], pre: [], blockquote: [], ul: [], ol: ['start'], li: [], h3: [], h4: [],
+  a: ['href', 'title'], img: ['src', 'alt', 'width', 'height'],
+};
+const SHOW_NOTES_RENAMED = { h1: 'h3', h2: 'h3', h5: 'h4', h6: 'h4' };
+// Dropped together with everything inside them
+const SHOW_NOTES_DROPPED = new Set(['script', 'style', 'iframe', 'object', 'noscript', 'template', 'svg', 'math',
+  'head', 'title', 'textarea', 'select', 'button', 'form']);
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'embed', 'source', 'wbr', 'col', 'area', 'base', 'param', 'track']);
+const BLOCK_TAGS = new Set(['p', 'li', 'ul', 'ol', 'blockquote', 'pre', 'h3', 'h4']);
+const DEFAULT_BOILERPLATE = ['Send us a text', 'Support the show'];
+
+const HTML_TOKEN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:\s*[^\s"'<>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+const HTML_ATTR = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const BARE_URL = /\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]]/g;
+const NOTE_TIMESTAMP = /(^|[^\d:])((?:\d{1,2}:)?[0-5]?\d:[0-5]\d)(?![\d:]|\s*[ap]\.?m\b)/gi;
+
+function decodeHtmlEntities(text) {
+  const codePoint = n => (n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : '');
+  return text
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => codePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => codePoint(Number(dec)))
+    .replace(/&(colon|tab|newline|nbsp|quot|apos|lt|gt|amp);/gi, (_, name) => ({
+      colon: ':', tab: '\t', newline: '\n', nbsp: ' ', quot: '"', apos: "'", lt: '<', gt: '>', amp: '&',
+    })[name.toLowerCase()]);
+}
+
+// Allowed schemes only (entity-encoded or tab-split "javascript:" included); null means drop it
+function safeURL(value, { schemes = ['http', 'https', 'mailto'], relative = true } = {}) {
+  let url = decodeHtmlEntities(value).replace(/[\u0000-\u001f\u007f]/g, '').trim();
+  // "//host/path" (browsers read backslashes as slashes too) leaves the site: make it an explicit https link
+  if (/^[/\\]{2}/.test(url)) url = `https://${url.replace(/^[/\\]+/, '')}`;
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme) return schemes.includes(scheme[1].toLowerCase()) ? url : null;
+  return relative && url ? url : null;
+}
+
+// Text as it appears between tags: keep entities, escape anything that could start markup
+function normalizeText(text) {
+  return text.replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function parseAttrs(raw) {
+  const attrs = {};
+  for (const match of raw.matchAll(HTML_ATTR)) {
+    const name = match[1].toLowerCase();
+    if (!(name in attrs)) attrs[name] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attrs;
+}
+
+// Loose HTML -> tree of { tag, attrs, children } and text strings, keeping only allowed tags
+function parseShowNotes(html) {
+  const root = { tag: null, children: [] };
+  const stack = [root];
+  let dropping = null;
+  let dropDepth = 0;
+  let last = 0;
+
+  const addText = (text) => {
+    if (!dropping && text) stack[stack.length - 1].children.push(normalizeText(text));
+  };
+
+  for (const match of html.matchAll(HTML_TOKEN)) {
+    addText(html.slice(last, match.index));
+    last = match.index + match[0].length;
+    if (!match[2]) continue; // comment, doctype, CDATA, processing instruction
+
+    const closing = match[1] === '/';
+    const name = match[2].toLowerCase();
+
+    if (dropping) {
+      if (name === dropping) dropDepth += closing ? -1 : 1;
+      if (dropDepth === 0) dropping = null;
+      continue;
+    }
+    if (SHOW_NOTES_DROPPED.has(name)) {
+      if (!closing) {
+        dropping = name;
+        dropDepth = 1;
+      }
+      continue;
+    }
+
+    const tag = SHOW_NOTES_RENAMED[name] || name;
+    if (!SHOW_NOTES_TAGS[tag]) continue; // unknown tags are unwrapped
+
+    if (closing) {
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    // Links can't nest, and a new paragraph or list item closes the one still open
+    if (tag === 'a' || tag === 'p' || tag === 'li') {
+      const open = stack.map(node => node.tag);
+      const index = open.lastIndexOf(tag);
+      const list = Math.max(open.lastIndexOf('ul'), open.lastIndexOf('ol'));
+      if (index > 0 && index > list) stack.length = index;
+    }
+
+    const node = { tag, attrs: parseAttrs(match[3]), children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (!VOID_TAGS.has(tag)) stack.push(node);
+  }
+  addText(html.slice(last));
+  return root.children;
+}
+
+function nodeText(node) {
+  if (typeof node === 'string') return decodeHtmlEntities(node);
+  if (node.tag === 'br') return '\n';
+  return node.children.map(nodeText).join('');
+}
+
+function linkifyText(text, { timestamps }) {
+  let html = text.replace(BARE_URL, (url) => {
+    const href = safeURL(url.startsWith('www.') ? `https://${url}` : url.replace(/&amp;/g, '&'));
+    return href ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${url}</a>` : url;
+  });
+  if (timestamps) {
+    // Only outside the links just added
+    html = html.split(/(<a\b[^>]*>.*?<\/a>)/).map((part, i) => (i % 2 ? part : part.replace(NOTE_TIMESTAMP,
+      (_, before, time) => `${before}<a href="#t=${time}" class="timestamp-link" data-start="${parseTimestamp(time)}">${time}</a>`))).join('');
+  }
+  return html;
+}
+
+// An image's absolute http(s) source; null when it has none or is a tracking pixel
+function showNotesImageSrc(attrs) {
+  const src = attrs.src !== undefined ? safeURL(attrs.src, { schemes: ['https', 'http'], relative: false }) : null;
+  if (!src || Number(attrs.width) <= 1 || Number(attrs.height) <= 1) return null;
+  return src;
+}
+
+function serializeShowNotes(nodes, options, insideLink = false) {
+  return nodes.map(node => {
+    if (typeof node === 'string') return insideLink ? node : linkifyText(node, options);
+    const attrs = {};
+    for (const name of SHOW_NOTES_TAGS[node.tag]) {
+      if (node.attrs[name] !== undefined) attrs[name] = decodeHtmlEntities(node.attrs[name]);
+    }
+    if (node.tag === 'a') {
+      const href = attrs.href !== undefined ? safeURL(attrs.href) : null;
+      if (!href) return serializeShowNotes(node.children, options, insideLink);
+      attrs.href = href;
+      if (/^https?:/i.test(href)) Object.assign(attrs, { target: '_blank', rel: 'noopener noreferrer' });
+    }
+    if (node.tag === 'img') {
+      attrs.src = showNotesImageSrc(node.attrs);
+      attrs.loading = 'lazy';
+    }
+    if (node.tag === 'ol' && !/^\d+$/.test(attrs.start || '')) delete attrs.start;
+    const open = `<${node.tag}${Object.entries(attrs).map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('')}>`;
+    if (VOID_TAGS.has(node.tag)) return open;
+    return `${open}${serializeShowNotes(node.children, options, insideLink || node.tag === 'a')}</${node.tag}>`;
+  }).join('');
+}
+
+// Drop boilerplate blocks, unusable images and elements left with nothing in them
+function pruneShowNotes(nodes, boilerplate) {
+  return nodes.filter(node => {
+    if (typeof node === 'string') return true;
+    if (node.tag === 'img') return showNotesImageSrc(node.attrs) !== null;
+    if (VOID_TAGS.has(node.tag)) return true;
+    node.children = pruneShowNotes(node.children, boilerplate);
+    const text = nodeText(node).replace(/\s+/g, ' ').trim();
+    if (BLOCK_TAGS.has(node.tag) && boilerplate.some(pattern => pattern.test(text))) return false;
+    return text !== '' || node.children.some(child => typeof child !== 'string' && child.tag === 'img');
+  });
+}
+
+// Boilerplate patterns match a whole block's text, case-insensitively
+function boilerplatePatterns(sources = DEFAULT_BOILERPLATE) {
+  return sources.map(source => new RegExp(`^(?:${source})$`, 'i'));
+}
+
+function sanitizeShowNotes(html, { boilerplate = boilerplatePatterns(), timestamps = false } = {}) {
+  // Plain-text notes: blank lines are paragraphs, single newlines are line breaks
+  if (!/<[a-z][^>]*>/i.test(html)) {
+    html = html.trim().split(/\n\s*\n/).map(para => `<p>${para.replace(/\n/g, '<br>')}</p>`).join('');
+  }
+  const nodes = pruneShowNotes(parseShowNotes(html), boilerplate);
+  return serializeShowNotes(nodes, { timestamps }).trim();
+}
+
+const sanitizedNotes = new WeakMap();
+
+// The notes as the episode page shows them, minus timestamp links. Everything
+// else that republishes them (descriptions, cards, structured data, search,
+// exports) starts from this, never from the feed's raw HTML. Only feed.xml
+// copies the feed as published.
+function showNotesHTML(ep) {
+  if (!sanitizedNotes.has(ep)) {
+    sanitizedNotes.set(ep, sanitizeShowNotes(ep.description, { boilerplate: boilerplatePatterns(site.showNotesBoilerplate) }));
+  }
+  return sanitizedNotes.get(ep);
+}
+
+function showNotesText(ep) {
+  return plainText(showNotesHTML(ep));
+}
+
+// The channel description gets the same treatment
+function showDescriptionHTML(podcastMeta) {
+  return sanitizeShowNotes(podcastMeta.description || '', { boilerplate: boilerplatePatterns(site.showNotesBoilerplate) });
+}
+
+// ─── Chapters & Audio Player ────────────────────────────────────────────────
+
+function parseChaptersJSON(content) {
+  const data = JSON.parse(content);
+  if (!Array.isArray(data.chapters)) throw new Error('chapters file has no "chapters" array');
+  return data.chapters
+    .filter(ch => ch.title && ch.toc !== false)
+    .map(ch => ({ start: Number(ch.startTime) || 0, title: String(ch.title).trim() }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Show-notes lines that start with a timestamp: "00:00 Intro", "(12:34) Topic", "1:02:03 - Wrap-up"
+function chaptersFromNotes(html) {
+  const lines = stripHtml(html.replace(/<(br|\/p|\/li|\/h\d|\/div)[^>]*>/gi, '\n')).split('\n');
+  const chapters = [];
+  for (const line of lines) {
+    const match = line.match(/^\s*[[(]?((?:\d{1,2}:)?\d{1,2}:\d{2})[\])]?\s*[-–—:|]?\s*(\S.*)$/);
+    if (match) chapters.push({ start: parseTimestamp(match[1]), title: match[2].trim() });
+  }
+  // A single timestamp is a mention, not a table of contents
+  return chapters.length >= 2 ? chapters.sort((a, b) => a.start - b.start) : [];
+}
+
+async function attachChapters(episodes, { force = false, offline = false } = {}) {
+  let found = 0;
+  for (const ep of episodes) {
+    let chapters = [];
+    if (ep.chaptersUrl) {
+      try {
+        chapters = parseChaptersJSON(await fetchCached(ep.chaptersUrl, { force, offline }));
+      } catch (err) {
+        console.log(`  Could not load chapters for ${ep.episode ? 'Ep ' + ep.episode : ep.title}: ${err.message}`);
+      }
+    }
+    if (!chapters.length) chapters = chaptersFromNotes(ep.description);
+    if (chapters.length) {
+      ep.chapters = chapters;
+      found++;
+    }
+  }
+  return found;
+}
+
+// The built-in player: a plain <audio> that js/main.js upgrades to the full controls
+function audioPlayerHTML(ep, src) {
+  const chapters = ep.chapters || [];
+  return `<div class="audio-player" data-episode="${escapeHtml(listeningKey(ep))}">
+          <audio controls preload="metadata" class="episode-audio" src="${escapeHtml(src)}" aria-label="${escapeHtml(ep.fullTitle)}">Your browser does not support the audio element. <a href="${escapeHtml(src)}">Download the episode</a>.</audio>
+          ${chapters.length ? `<div class="chapter-list">
+            <h2 id="chapters-heading">Chapters</h2>
+            <ol aria-labelledby="chapters-heading">
+              ${chapters.map(ch => `<li><a href="#t=${formatTimestamp(ch.start)}" class="chapter-link" data-start="${Math.floor(ch.start)}"><span class="chapter-time">${formatTimestamp(ch.start)}</span> ${escapeHtml(ch.title)}</a></li>`).join('\n              ')}
+            </ol>
+          </div>` : ''}
+        </div>`;
+}
+
+// ─── Episode URLs ───────────────────────────────────────────────────────────
+//
+// episode-slugs.json maps each episode's guid to its slug, so a page keeps its
+// URL when Buzzsprout renames it and moves with a redirect when it is
+// renumbered. Commit it alongside the site. To redirect a page from before the
+// map existed, add its old name to the episode's "previous" list.
+
+const SLUGS_PATH = path.join(OUTPUT_DIR, 'episode-slugs.json');
+
+// The guid, falling back to the enclosure like feed.xml does
+function episodeId(ep) {
+  return ep.guid || ep.audioUrl || '';
+}
+
+// What js/main.js keys an episode's saved position, queue entry and progress by
+function listeningKey(ep) {
+  return ep.guid || episodeFilename(ep);
+}
+
+function loadSlugMap() {
+  if (!fs.existsSync(SLUGS_PATH)) return { episodes: {} };
+  const data = JSON.parse(fs.readFileSync(SLUGS_PATH, 'utf-8'));
+  return { ...data, episodes: data.episodes || {} };
+}
+
+function saveSlugMap(slugMap) {
+  const content = JSON.stringify(slugMap, null, 2) + '\n';
+  if (fs.existsSync(SLUGS_PATH) && fs.readFileSync(SLUGS_PATH, 'utf-8') === content) return false;
+  fs.writeFileSync(SLUGS_PATH, content);
+  return true;
+}
+
+/**
+ * Sets `ep.slug` on every episode and updates the map. Numbered episodes are
+ * named by number; unnumbered ones (trailers, bonus episodes) keep the slug
+ * they were first given, so retitling them doesn't move the page. Returns the
+ * slugs that changed this build and the redirects to write, as
+ * { oldSlug: episode }.
+ */
+function assignSlugs(episodes, slugMap) {
+  const taken = new Set();
+  const moved = [];
+  const entries = {};
+
+  // Oldest first, so a later duplicate is the one that gets a suffix
+  for (const ep of [...episodes].reverse()) {
+    const id = episodeId(ep);
+    const entry = (id && slugMap.episodes[id]) || { slug: '', previous: [] };
+    const base = ep.episode || entry.slug || slugify(ep.title) || 'episode';
+    let slug = base;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    taken.add(slug);
+    ep.slug = slug;
+    ep.previousSlugs = [];
+
+    if (!id) continue;
+    const previous = new Set(entry.previous || []);
+    if (entry.slug && entry.slug !== slug) {
+      previous.add(entry.slug);
+      moved.push({ ep, from: entry.slug });
+    }
+    previous.delete(slug);
+    ep.previousSlugs = [...previous];
+    entries[id] = { slug, title: ep.fullTitle, ...(previous.size ? { previous: [...previous] } : {}) };
+  }
+
+  // Newest first like the feed, then episodes that have since left it
+  const ordered = {};
+  for (const ep of episodes) if (entries[episodeId(ep)]) ordered[episodeId(ep)] = entries[episodeId(ep)];
+  for (const [id, entry] of Object.entries(slugMap.episodes)) if (!(id in ordered)) ordered[id] = entry;
+  slugMap.episodes = ordered;
+
+  // A live page always beats a redirect that would overwrite it
+  const redirects = {};
+  for (const ep of episodes) {
+    for (const old of (entries[episodeId(ep)] || {}).previous || []) {
+      if (taken.has(old)) console.log(`  episode-slugs.json: not redirecting ${old}.html, another episode uses it`);
+      else redirects[old] = ep;
+    }
+  }
+  return { moved, redirects };
+}
+
+// Keeps old links (and their #t= timestamps) working after an episode's slug changes
+function generateRedirectPage(ep, { siteUrl = '' } = {}) {
+  const target = episodeFilename(ep);
+  const title = `${ep.fullTitle} - ${site.showName} Podcast`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="This episode has moved to ${escapeHtml(target)}.">
+  <meta name="robots" content="noindex">
+  <link rel="canonical" href="${escapeHtml(absoluteURL(siteUrl, `episodes/${target}`))}">
+  <meta http-equiv="refresh" content="0; url=${escapeHtml(target)}">
+  <script>location.replace(${JSON.stringify(target)} + location.search + location.hash);</script>
+</head>
+<body>
+  <p>This episode has moved to <a href="${escapeHtml(target)}">${escapeHtml(ep.fullTitle)}</a>.</p>
+</body>
+</html>
+`;
+}
+
+// Files in episodes/ this build neither wrote nor redirected
+function findOrphanedPages(pages) {
+  const dir = path.join(OUTPUT_DIR, 'episodes');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.html'))
+    .map(file => `episodes/${file}`)
+    .filter(relPath => !(relPath in pages))
+    .sort();
+}
+
+// ─── Guests & Topics ────────────────────────────────────────────────────────
+
+// Hand-kept overlay: { "episodes": { "<episode number or slug>": { "guests": [...], "topics": [...] } } }
+const METADATA_PATH = path.join(OUTPUT_DIR, 'episode-metadata.json');
+
+const TOPIC_KEYWORDS = {
+  'Mindset': /mindset|grit|discipline|resilien|motivation|gratitude|positiv/i,
+  'Breathwork': /breath/i,
+  'Community': /communit|connection|support group|peer/i,
+  'Returning to Work': /return(?:ing)? to work|workplace|career|\bjob\b/i,
+  'Fatigue': /fatigue|sleep|stamina|\benergy\b/i,
+  'Relationships': /relationship|family|marriage|friends/i,
+  'Caregivers': /caregiv|carer/i,
+  'Mental Health': /anxiety|depression|ptsd|stress|emotion|mental health/i,
+  'Exercise': /exercise|running|runner|athlete|fitness|walk/i,
+  'Neuroplasticity': /neuroplastic|neuro(?:science|logy)/i,
+  'Technology': /\bAI\b|chatgpt|technolog|\bapps?\b/i,
+  'Aphasia': /aphasia|speech/i,
+};
+
+// Words that start capitalized title phrases but are never part of a guest's name
+const NOT_A_NAME = new Set(('Stroke Strokes Survivor Survivors Science Recovery Brain Injury Soundbite Soundbites ' +
+  'Content Creator Advocate Coach Natural Power Life Journey Long Heart Attack Warrior Radio Podcast Episode ' +
+  'The A An And With From How Why What When Part Special Live Year New Hope').split(' '));
+
+const NAME = `[A-Z][a-z]+(?:-[A-Z][a-z]+)?(?: "[^"]+")? [A-Z][a-zA-Z]+(?:-[A-Z][a-z]+)?`;
+const GUEST_PATTERNS = [
+  new RegExp(`\\bwith (${NAME})(?: and (${NAME}))?(?=$|[:,–])`, 'g'),
+  new RegExp(`(?:Survivor|Creator|Advocate)(?: –)? (${NAME})(?=:| on |'|’)`, 'g'),
+  new RegExp(`(${NAME})(?:'s?|’s?) (?:Journey|Story)`, 'g'),
+  new RegExp(`(?:^|: )(${NAME})(?: and (${NAME}))? (?:Discuss|Bridges|Shares|Talks|Explains)\\b`, 'g'),
+];
+// Best-effort guesses from the title; the overlay file is the place to correct them
+function guessGuests(title, host) {
+  const guests = [];
+  for (const pattern of GUEST_PATTERNS) {
+    for (const match of title.matchAll(pattern)) {
+      for (const name of match.slice(1)) {
+        if (!name || name === host || guests.includes(name)) continue;
+        if (name.split(' ').some(word => NOT_A_NAME.has(word))) continue;
+        guests.push(name);
+      }
+    }
+  }
+  return guests;
+}
+
+// Title and opening paragraph only: the notes end in the same sign-off and links every week
+function guessTopics(ep) {
+  const text = `${ep.fullTitle} ${truncate(showNotesText(ep), 300)}`;
+  return Object.keys(TOPIC_KEYWORDS).filter(topic => TOPIC_KEYWORDS[topic].test(text));
+}
+
+function metadataKey(ep, metadata) {
+  return episodeKeys(ep).find(key => metadata.episodes[key]) || String(episodeSlug(ep));
+}
+
+function loadMetadata() {
+  if (!fs.existsSync(METADATA_PATH)) return { episodes: {} };
+  const data = JSON.parse(fs.readFileSync(METADATA_PATH, 'utf-8'));
+  return { ...data, episodes: data.episodes || {} };
+}
+
+// Fill in guesses for episodes the overlay doesn't mention yet; existing entries are left alone
+function seedMetadata(episodes, metadata, host) {
+  let added = 0;
+  for (const ep of episodes) {
+    const key = metadataKey(ep, metadata);
+    if (metadata.episodes[key]) continue;
+    metadata.episodes[key] = { guests: guessGuests(ep.title, host), topics: guessTopics(ep) };
+    added++;
+  }
+  // Left alone otherwise, so the preview server doesn't see a change of its own making
+  if (added) fs.writeFileSync(METADATA_PATH, JSON.stringify(metadata, null, 2) + '\n');
+  return added;
+}
+
+function applyMetadata(episodes, metadata) {
+  const keys = new Set(episodes.map(ep => metadataKey(ep, metadata)));
+  for (const key of Object.keys(metadata.episodes)) {
+    if (!keys.has(key)) console.log(`  episode-metadata.json: no episode matches "${key}"`);
+  }
+  for (const ep of episodes) {
+    const entry = metadata.episodes[metadataKey(ep, metadata)] || {};
+    ep.guests = entry.guests || [];
+    ep.topics = entry.topics || [];
+  }
+}
+
+// { slug: { name, episodes } } for one facet, sorted by name
+function collectTaxonomy(episodes, field) {
+  const terms = {};
+  for (const ep of episodes) {
+    for (const name of ep[field] || []) {
+      const slug = slugify(name);
+      if (!slug) continue;
+      (terms[slug] = terms[slug] || { name, episodes: [] }).episodes.push(ep);
+    }
+  }
+  return Object.fromEntries(Object.entries(terms).sort((a, b) => a[1].name.localeCompare(b[1].name)));
+}
+
+function tagListHTML(ep, root = '') {
+  const links = [
+    ...(ep.guests || []).map(name => `<li><a href="${root}guests/${slugify(name)}.html" class="tag tag-guest">${escapeHtml(name)}</a></li>`),
+    ...(ep.topics || []).map(name => `<li><a href="${root}topics/${slugify(name)}.html" class="tag">${escapeHtml(name)}</a></li>`),
+  ];
+  if (!links.length) return '';
+  return `<ul class="tag-list" aria-label="Guests and topics">${links.join('')}</ul>`;
+}
+
+// ─── Media Mirroring ────────────────────────────────────────────────────────
+
+const MEDIA_MANIFEST = 'manifest.json';
+// A download that sends nothing for this long is abandoned (and retried)
+const MEDIA_TIMEOUT = 30000;
+
+// Filename for a mirrored copy: the URL's basename plus a hash of the whole
+// URL, since hosts reuse names like ".../a/ep.mp3" and ".../b/ep.mp3".
+// Buzzsprout artwork URLs carry the extension in the query string
+// (".../fjgenjo5r0nvz3oo0glkfr1togj4?.jpg").
+function mediaFilename(url) {
+  const { pathname, search } = new URL(url);
+  const base = decodeURIComponent(path.posix.basename(pathname)).replace(/[^\w.-]+/g, '-');
+  const queryExt = search.match(/\.(\w+)$/);
+  const ext = path.extname(base) || (queryExt ? `.${queryExt[1]}` : '');
+  const stem = path.basename(base, path.extname(base)) || 'media';
+  return `${stem}-${sha256(url).slice(0, 10)}${ext}`;
+}
+
+function loadMediaManifest(mediaDir) {
+  const manifestPath = path.join(mediaDir, MEDIA_MANIFEST);
+  if (!fs.existsSync(manifestPath)) return { files: {} };
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
+
+function saveMediaManifest(mediaDir, manifest) {
+  const files = {};
+  for (const key of Object.keys(manifest.files).sort()) files[key] = manifest.files[key];
+  fs.writeFileSync(path.join(mediaDir, MEDIA_MANIFEST), JSON.stringify({ files }, null, 2) + '\n');
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Download url to dest via dest.part, resuming a previous partial download with a Range request
+function downloadToFile(url, dest) {
+  return new Promise((resolve, reject) => {
+    const partPath = `${dest}.part`;
+    const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    const headers = { 'User-Agent': 'SurvivorScienceArchiveBuilder/1.0' };
+    if (offset) headers.Range = `bytes=${offset}-`;
+
+    const client = url.startsWith('https') ? https : http;
+    const req = client.get(url, { headers }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        return downloadToFile(new URL(res.headers.location, url).href, dest).then(resolve).catch(reject);
+      }
+      if (res.statusCode === 416) {
+        // The part file is already the whole file, or longer than it: start over if so
+        res.resume();
+        const total = (res.headers['content-range'] || '').match(/\/(\d+)$/);
+        if (total && Number(total[1]) === offset) {
+          fs.renameSync(partPath, dest);
+          return resolve();
+        }
+        fs.unlinkSync(partPath);
+        return reject(new Error(`Partial download of ${url} no longer matches, restarting`));
+      }
+      if (res.statusCode !== 200 && res.statusCode !== 206) {
+        res.resume();
+        const err = new Error(`HTTP ${res.statusCode} from ${url}`);
+        err.statusCode = res.statusCode;
+        return reject(err);
+      }
+
+      const resumed = res.statusCode === 206;
+      const expected = res.headers['content-length'] ? Number(res.headers['content-length']) + (resumed ? offset : 0) : null;
+      pipeline(res, fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }), (err) => {
+        if (err) return reject(err);
+        const size = fs.statSync(partPath).size;
+        if (expected !== null && size !== expected) {
+          return reject(new Error(`Incomplete download of ${url} (${size} of ${expected} bytes)`));
+        }
+        fs.renameSync(partPath, dest);
+        resolve();
+      });
+    }).on('error', reject);
+    // Covers connecting, waiting for headers and stalls mid-body; what arrived stays in .part to resume
+    req.setTimeout(MEDIA_TIMEOUT, () => req.destroy(new Error(`No data from ${url} for ${MEDIA_TIMEOUT / 1000}s`)));
+  });
+}
+
+// Retry with exponential backoff; client errors other than timeouts and rate limits are final
+async function withRetry(task, label, { attempts = 5, baseDelay = 1000 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      const permanent = err.statusCode >= 400 && err.statusCode < 500 && ![408, 429].includes(err.statusCode);
+      if (permanent || attempt >= attempts) throw err;
+      const delay = baseDelay * 2 ** (attempt - 1);
+      console.log(`    ${label}: ${err.message} (retrying in ${delay / 1000}s)`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Download every episode's audio and artwork that isn't already mirrored, recording each in the manifest
+async function mirrorMedia(episodes, mediaDir, manifest) {
+  const sources = [];
+  for (const ep of episodes) {
+    if (ep.audioUrl) sources.push(['audio', ep.audioUrl]);
+    if (ep.episodeImage) sources.push(['images', ep.episodeImage]);
+  }
+
+  let downloaded = 0;
+  let failed = 0;
+  for (const [kind, url] of sources) {
+    const relPath = `${kind}/${mediaFilename(url)}`;
+    const dest = path.join(mediaDir, relPath);
+    const entry = manifest.files[relPath];
+    if (entry && entry.source === url && fs.existsSync(dest) && fs.statSync(dest).size === entry.bytes) continue;
+
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    try {
+      await withRetry(() => downloadToFile(url, dest), relPath);
+    } catch (err) {
+      console.log(`  Could not mirror ${url}: ${err.message}`);
+      failed++;
+      continue;
+    }
+    manifest.files[relPath] = {
+      source: url,
+      bytes: fs.statSync(dest).size,
+      sha256: await sha256File(dest),
+    };
+    // Save as we go so an interrupted run keeps what it finished
+    saveMediaManifest(mediaDir, manifest);
+    console.log(`  ${relPath}`);
+    downloaded++;
+  }
+
+  return { downloaded, failed, total: sources.length };
+}
+
+// Point episodes at their mirrored copies (paths relative to the site root)
+function applyMediaManifest(episodes, mediaDir, manifest) {
+  const bySource = {};
+  for (const [relPath, entry] of Object.entries(manifest.files)) {
+    if (fs.existsSync(path.join(mediaDir, relPath))) bySource[entry.source] = relPath;
+  }
+  const prefix = path.relative(OUTPUT_DIR, mediaDir).split(path.sep).join('/');
+  for (const ep of episodes) {
+    if (bySource[ep.audioUrl]) ep.localAudio = `${prefix}/${bySource[ep.audioUrl]}`;
+    if (bySource[ep.episodeImage]) ep.localImage = `${prefix}/${bySource[ep.episodeImage]}`;
+  }
+}
+
+// ─── Images: Decoding, Drawing, PNG Encoding ────────────────────────────────
+//
+// Enough raster graphics for the share cards without native modules: baseline
+// JPEG and 8-bit PNG decoding for artwork, a few drawing operations on RGB
+// buffers, and a PNG encoder (deflate comes from Node's bundled zlib).
+// Images are { width, height, data } with data as packed RGB bytes.
+
+const JPEG_ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+];
+// Clamped arrays round and clip on assignment, which colour conversion relies on
+// IDCT_COS[x * 8 + u] = C(u) cos((2x + 1)uπ / 16)
+const IDCT_COS = Float64Array.from({ length: 64 }, (_, i) => {
+  const [x, u] = [Math.floor(i / 8), i % 8];
+  return (u ? 1 : Math.SQRT1_2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+});
+
+function createImage(width, height, [r, g, b] = [0, 0, 0]) {
+  const data = new Uint8ClampedArray(width * height * 3);
+  for (let i = 0; i < data.length; i += 3) {
+    data[i] = r;
+    data[i + 1] = g;
+    data[i + 2] = b;
+  }
+  return { width, height, data };
+}
+
+function hexColor(hex) {
+  return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// Canonical Huffman codes as per-length ranges (JPEG spec, Annex C)
+function jpegHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(17).fill(-1);
+  const minCode = new Int32Array(17);
+  const valuePointer = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valuePointer[length] = k;
+    minCode[length] = code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    if (counts[length - 1]) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  return { maxCode, minCode, valuePointer, symbols: Uint8Array.from(symbols) };
+}
+
+// Decodes one scan's entropy-coded data starting at `pos`; returns where the next marker starts
+function decodeJPEGScan(buffer, pos, frame, scanComponents, restartInterval) {
+  let bits = 0;
+  let bitCount = 0;
+  const readBit = () => {
+    if (!bitCount) {
+      let byte = buffer[pos];
+      if (byte === 0xFF && buffer[pos + 1] !== 0) byte = 0; // a marker: pad with zeros rather than read past it
+      else pos += byte === 0xFF ? 2 : 1;
+      bits = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bits >> bitCount) & 1;
+  };
+  const receive = (length) => {
+    let value = 0;
+    for (let i = 0; i < length; i++) value = (value << 1) | readBit();
+    return value;
+  };
+  const receiveExtend = (length) => {
+    const value = receive(length);
+    return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+  };
+  const decodeHuffman = (table) => {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | readBit();
+      if (code <= table.maxCode[length]) return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+    }
+    throw new Error('corrupt JPEG data');
+  };
+
+  const coefficients = new Float64Array(64);
+  const rows = new Float64Array(64);
+  const decodeBlock = (component, blockX, blockY) => {
+    const quant = frame.quantTables[component.quant];
+    coefficients.fill(0);
+    const dcLength = decodeHuffman(component.dcTable);
+    component.prediction += dcLength ? receiveExtend(dcLength) : 0;
+    coefficients[0] = component.prediction * quant[0];
+    for (let k = 1; k < 64;) {
+      const symbol = decodeHuffman(component.acTable);
+      const run = symbol >> 4;
+      const length = symbol & 15;
+      if (!length) {
+        if (run !== 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      coefficients[JPEG_ZIGZAG[k]] = receiveExtend(length) * quant[JPEG_ZIGZAG[k]];
+      k++;
+    }
+
+    // Separable inverse DCT: rows, then columns
+    for (let v = 0; v < 8; v++) {
+      for (let x = 0; x < 8; x++) {
+        let sum = 0;
+        for (let u = 0; u < 8; u++) sum += IDCT_COS[x * 8 + u] * coefficients[v * 8 + u];
+        rows[v * 8 + x] = sum;
+      }
+    }
+    const { plane, planeWidth } = component;
+    for (let y = 0; y < 8; y++) {
+      const offset = (blockY * 8 + y) * planeWidth + blockX * 8;
+      for (let x = 0; x < 8; x++) {
+        let sum = 0;
+        for (let v = 0; v < 8; v++) sum += IDCT_COS[y * 8 + v] * rows[v * 8 + x];
+        plane[offset + x] = sum / 4 + 128;
+      }
+    }
+  };
+
+  // A single-component scan codes its blocks one at a time; otherwise in MCUs of every component's h x v blocks
+  const single = scanComponents.length === 1;
+  const [first] = scanComponents;
+  const mcusX = single ? Math.ceil(Math.ceil((frame.width * first.h) / frame.maxH) / 8) : frame.mcusX;
+  const mcusY = single ? Math.ceil(Math.ceil((frame.height * first.v) / frame.maxV) / 8) : frame.mcusY;
+  const total = mcusX * mcusY;
+  for (let mcu = 0; mcu < total; mcu++) {
+    if (restartInterval && mcu && mcu % restartInterval === 0) {
+      bitCount = 0;
+      while (pos < buffer.length && !(buffer[pos] === 0xFF && buffer[pos + 1] >= 0xD0 && buffer[pos + 1] <= 0xD7)) pos++;
+      pos += 2;
+      scanComponents.forEach((component) => {
+        component.prediction = 0;
+      });
+    }
+    const mcuX = mcu % mcusX;
+    const mcuY = Math.floor(mcu / mcusX);
+    if (single) {
+      decodeBlock(first, mcuX, mcuY);
+      continue;
+    }
+    for (const component of scanComponents) {
+      for (let by = 0; by < component.v; by++) {
+        for (let bx = 0; bx < component.h; bx++) decodeBlock(component, mcuX * component.h + bx, mcuY * component.v + by);
+      }
+    }
+  }
+  while (pos < buffer.length && !(buffer[pos] === 0xFF && buffer[pos + 1] !== 0 && !(buffer[pos + 1] >= 0xD0 && buffer[pos + 1] <= 0xD7))) pos++;
+  return pos;
+}
+
+// Baseline (sequential Huffman) JPEGs in greyscale or YCbCr; progressive files throw
+function decodeJPEG(buffer) {
+  if (buffer[0] !== 0xFF || buffer[1] !== 0xD8) throw new Error('not a JPEG file');
+  const quantTables = [];
+  const huffmanTables = {};
+  let frame = null;
+  let restartInterval = 0;
+  let pos = 2;
+
+  while (pos < buffer.length) {
+    if (buffer[pos] !== 0xFF) throw new Error(`JPEG marker expected at byte ${pos}`);
+    const marker = buffer[pos + 1];
+    pos += 2;
+    if (marker === 0xFF) {
+      pos--;
+      continue;
+    }
+    if (marker === 0xD9) break;
+    const length = buffer.readUInt16BE(pos);
+    const segment = buffer.subarray(pos + 2, pos + length);
+    pos += length;
+
+    if (marker === 0xDB) {
+      for (let i = 0; i < segment.length;) {
+        const wide = segment[i] >> 4;
+        const table = new Int32Array(64);
+        for (let k = 0; k < 64; k++) table[JPEG_ZIGZAG[k]] = wide ? segment.readUInt16BE(i + 1 + 2 * k) : segment[i + 1 + k];
+        quantTables[segment[i] & 15] = table;
+        i += 1 + (wide ? 128 : 64);
+      }
+    } else if (marker === 0xC4) {
+      for (let i = 0; i < segment.length;) {
+        const counts = segment.subarray(i + 1, i + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        huffmanTables[`${segment[i] >> 4}-${segment[i] & 15}`] = jpegHuffmanTable(counts, segment.subarray(i + 17, i + 17 + total));
+        i += 17 + total;
+      }
+    } else if (marker === 0xC0 || marker === 0xC1) {
+      const components = [];
+      for (let i = 0; i < segment[5]; i++) {
+        const offset = 6 + i * 3;
+        components.push({ id: segment[offset], h: segment[offset + 1] >> 4, v: segment[offset + 1] & 15, quant: segment[offset + 2], prediction: 0 });
+      }
+      frame = { height: segment.readUInt16BE(1), width: segment.readUInt16BE(3), components, quantTables };
+      frame.maxH = Math.max(...components.map(component => component.h));
+      frame.maxV = Math.max(...components.map(component => component.v));
+      frame.mcusX = Math.ceil(frame.width / (8 * frame.maxH));
+      frame.mcusY = Math.ceil(frame.height / (8 * frame.maxV));
+      for (const component of components) {
+        component.planeWidth = frame.mcusX * component.h * 8;
+        component.plane = new Uint8ClampedArray(component.planeWidth * frame.mcusY * component.v * 8);
+      }
+    } else if (marker >= 0xC2 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      throw new Error('only baseline JPEGs are supported (this one is progressive or arithmetic-coded)');
+    } else if (marker === 0xDD) {
+      restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xDA) {
+      if (!frame) throw new Error('JPEG scan before frame header');
+      const scanComponents = [];
+      for (let i = 0; i < segment[0]; i++) {
+        const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+        const tables = segment[2 + i * 2];
+        component.dcTable = huffmanTables[`0-${tables >> 4}`];
+        component.acTable = huffmanTables[`1-${tables & 15}`];
+        component.prediction = 0;
+        scanComponents.push(component);
+      }
+      pos = decodeJPEGScan(buffer, pos, frame, scanComponents, restartInterval);
+    }
+  }
+  if (!frame) throw new Error('JPEG has no frame header');
+  if (frame.components.length !== 1 && frame.components.length !== 3) throw new Error('only greyscale and YCbCr JPEGs are supported');
+
+  const { width, height, components, maxH, maxV } = frame;
+  const image = createImage(width, height);
+  const sample = (component, x, y) => component.plane[Math.floor((y * component.v) / maxV) * component.planeWidth + Math.floor((x * component.h) / maxH)];
+  for (let y = 0, i = 0; y < height; y++) {
+    for (let x = 0; x < width; x++, i += 3) {
+      const luma = sample(components[0], x, y);
+      if (components.length === 1) {
+        image.data[i] = image.data[i + 1] = image.data[i + 2] = luma;
+        continue;
+      }
+      const cb = sample(components[1], x, y) - 128;
+      const cr = sample(components[2], x, y) - 128;
+      image.data[i] = luma + 1.402 * cr;
+      image.data[i + 1] = luma - 0.344136 * cb - 0.714136 * cr;
+      image.data[i + 2] = luma + 1.772 * cb;
+    }
+  }
+  return image;
+}
+
+// 8-bit, non-interlaced PNGs of any colour type; transparency is flattened onto black
+function decodePNG(buffer) {
+  if (buffer.readUInt32BE(0) !== 0x89504E47) throw new Error('not a PNG file');
+  let header = null;
+  let palette = null;
+  const data = [];
+  for (let pos = 8; pos < buffer.length;) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    const chunk = buffer.subarray(pos + 8, pos + 8 + length);
+    pos += 12 + length;
+    if (type === 'IHDR') header = { width: chunk.readUInt32BE(0), height: chunk.readUInt32BE(4), depth: chunk[8], colorType: chunk[9], interlace: chunk[12] };
+    else if (type === 'PLTE') palette = chunk;
+    else if (type === 'IDAT') data.push(chunk);
+    else if (type === 'IEND') break;
+  }
+  if (!header) throw new Error('PNG has no header');
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (header.depth !== 8 || header.interlace || !channels) throw new Error('only 8-bit, non-interlaced PNGs are supported');
+
+  const { width, height } = header;
+  const raw = zlib.inflateSync(Buffer.concat(data));
+  const stride = width * channels;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[out + x - channels] : 0;
+      const up = y ? pixels[out - stride + x] : 0;
+      const upLeft = y && x >= channels ? pixels[out - stride + x - channels] : 0;
+      pixels[out + x] = row[x] + pngPredictor(filter, left, up, upLeft);
+    }
+  }
+
+  const image = createImage(width, height);
+  for (let i = 0; i < width * height; i++) {
+    const p = i * channels;
+    let rgb;
+    if (header.colorType === 3) rgb = [palette[pixels[p] * 3], palette[pixels[p] * 3 + 1], palette[pixels[p] * 3 + 2]];
+    else if (channels <= 2) rgb = [pixels[p], pixels[p], pixels[p]];
+    else rgb = [pixels[p], pixels[p + 1], pixels[p + 2]];
+    const alpha = channels === 2 || channels === 4 ? pixels[p + channels - 1] / 255 : 1;
+    image.data.set(rgb.map(value => value * alpha), i * 3);
+  }
+  return image;
+}
+
+// PNG row filters: none, sub, up, average, Paeth
+function pngPredictor(filter, left, up, upLeft) {
+  if (filter === 1) return left;
+  if (filter === 2) return up;
+  if (filter === 3) return (left + up) >> 1;
+  if (filter !== 4) return 0;
+  const estimate = left + up - upLeft;
+  const dLeft = Math.abs(estimate - left);
+  const dUp = Math.abs(estimate - up);
+  const dUpLeft = Math.abs(estimate - upLeft);
+  if (dLeft <= dUp && dLeft <= dUpLeft) return left;
+  return dUp <= dUpLeft ? up : upLeft;
+}
+
+function decodeImage(buffer) {
+  return buffer[0] === 0x89 ? decodePNG(buffer) : decodeJPEG(buffer);
+}
+
+// Downscale by averaging each destination pixel's source area
+function resizeImage(image, width, height) {
+  const out = createImage(width, height);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * scaleY);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * scaleX);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scaleX));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0, i = (sy * image.width + x0) * 3; sx < x1; sx++, i += 3) {
+          r += image.data[i];
+          g += image.data[i + 1];
+          b += image.data[i + 2];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      out.data.set([r / count, g / count, b / count], (y * width + x) * 3);
+    }
+  }
+  return out;
+}
+
+// Bilinear sample at fractional pixel coordinates, clamped to the edges
+function sampleImage(image, x, y) {
+  const fx = Math.max(0, Math.min(image.width - 1, x - 0.5));
+  const fy = Math.max(0, Math.min(image.height - 1, y - 0.5));
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, image.width - 1);
+  const y1 = Math.min(y0 + 1, image.height - 1);
+  const [tx, ty] = [fx - x0, fy - y0];
+  return [0, 1, 2].map((c) => {
+    const at = (px, py) => image.data[(py * image.width + px) * 3 + c];
+    return (at(x0, y0) * (1 - tx) + at(x1, y0) * tx) * (1 - ty) + (at(x0, y1) * (1 - tx) + at(x1, y1) * tx) * ty;
+  });
+}
+
+function drawImage(target, image, left, top) {
+  for (let y = 0; y < image.height; y++) {
+    const start = (y * image.width) * 3;
+    target.data.set(image.data.subarray(start, start + image.width * 3), ((top + y) * target.width + left) * 3);
+  }
+}
+
+function fillRect(target, left, top, width, height, color, alpha = 1) {
+  for (let y = Math.max(0, top); y < Math.min(target.height, top + height); y++) {
+    for (let x = Math.max(0, left); x < Math.min(target.width, left + width); x++) {
+      const i = (y * target.width + x) * 3;
+      for (let c = 0; c < 3; c++) target.data[i + c] = target.data[i + c] * (1 - alpha) + color[c] * alpha;
+    }
+  }
+}
+
+const CRC_TABLE = Int32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = -1;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+// RGB PNG; each row takes whichever filter leaves the smallest residuals, as libpng does
+function encodePNG(image) {
+  const { width, height, data } = image;
+  const stride = width * 3;
+  const raw = Buffer.alloc((stride + 1) * height);
+  const magnitude = value => ((value & 0xFF) < 128 ? value & 0xFF : 256 - (value & 0xFF));
+  for (let y = 0; y < height; y++) {
+    const row = y * stride;
+    // Score every filter in one pass, then write the cheapest
+    let [none, sub, up, average, paeth] = [0, 0, 0, 0, 0];
+    for (let x = 0; x < stride; x++) {
+      const value = data[row + x];
+      const a = x >= 3 ? data[row + x - 3] : 0;
+      const b = y ? data[row - stride + x] : 0;
+      const c = y && x >= 3 ? data[row - stride + x - 3] : 0;
+      none += value;
+      sub += magnitude(value - a);
+      up += magnitude(value - b);
+      average += magnitude(value - ((a + b) >> 1));
+      paeth += magnitude(value - pngPredictor(4, a, b, c));
+    }
+    const costs = [none, sub, up, average, paeth];
+    const filter = costs.indexOf(Math.min(...costs));
+    const out = y * (stride + 1);
+    raw[out] = filter;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= 3 ? data[row + x - 3] : 0;
+      const b = y ? data[row - stride + x] : 0;
+      const c = y && x >= 3 ? data[row - stride + x - 3] : 0;
+      raw[out + 1 + x] = data[row + x] - pngPredictor(filter, a, b, c);
+    }
+  }
+
+  const chunk = (type, body) => {
+    const out = Buffer.alloc(12 + body.length);
+    out.writeUInt32BE(body.length, 0);
+    out.write(type, 4, 'latin1');
+    body.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+    return out;
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8); // 8-bit truecolour, no interlace
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, { strategy: zlib.constants.Z_FILTERED })),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ─── Share Cards ────────────────────────────────────────────────────────────
+//
+// A 1200x630 PNG per episode for og:image: number, title, date and duration
+// over the show artwork. Text is set in a small built-in stroke font (capitals,
+// digits and common punctuation), drawn as round-capped lines with
+// antialiasing. A card is only re-rendered when what it shows or its artwork
+// changes, or when SHARE_CARD_VERSION is bumped after a design change.
+
+const SHARE_CARD_VERSION = 1;
+const SHARE_CARD_WIDTH = 1200;
+const SHARE_CARD_HEIGHT = 630;
+const SHARE_CARD_DIR = 'images/cards';
+
+// Glyphs on a 10-unit cap height (y down, baseline at 10) as move/line/cubic paths, with their advance width
+const STROKE_FONT = {
+  ' ': [3, ''],
+  A: [7, 'M0 10 L3.5 0 L7 10 M1.2 6.6 L5.8 6.6'],
+  B: [6.2, 'M0 5 L3.2 5 C4.8 5 5.6 4 5.6 2.5 C5.6 1 4.8 0 3.2 0 L0 0 L0 10 L3.6 10 C5.3 10 6.2 9 6.2 7.5 C6.2 6 5.2 5 3.4 5'],
+  C: [6.8, 'M6.8 2 C6 0.7 4.9 0 3.6 0 C1.4 0 0 2.2 0 5 C0 7.8 1.4 10 3.6 10 C4.9 10 6 9.3 6.8 8'],
+  D: [6.6, 'M0 0 L0 10 L2.8 10 C5.2 10 6.6 8 6.6 5 C6.6 2 5.2 0 2.8 0 L0 0'],
+  E: [5.4, 'M5.4 0 L0 0 L0 10 L5.4 10 M0 5 L4.6 5'],
+  F: [5.2, 'M5.2 0 L0 0 L0 10 M0 5 L4.4 5'],
+  G: [7, 'M6.8 2 C6 0.7 4.9 0 3.6 0 C1.4 0 0 2.2 0 5 C0 7.8 1.4 10 3.6 10 C5.6 10 7 8.6 7 6.2 L7 5.4 L4 5.4'],
+  H: [6.4, 'M0 0 L0 10 M6.4 0 L6.4 10 M0 5 L6.4 5'],
+  I: [0, 'M0 0 L0 10'],
+  J: [5, 'M5 0 L5 7 C5 9 4 10 2.5 10 C1 10 0 9 0 7.4'],
+  K: [6, 'M0 0 L0 10 M6 0 L0 6.2 M2.2 4 L6 10'],
+  L: [5, 'M0 0 L0 10 L5 10'],
+  M: [8, 'M0 10 L0 0 L4 7 L8 0 L8 10'],
+  N: [6.6, 'M0 10 L0 0 L6.6 10 L6.6 0'],
+  O: [8, 'M4 0 C6.2 0 8 2.2 8 5 C8 7.8 6.2 10 4 10 C1.8 10 0 7.8 0 5 C0 2.2 1.8 0 4 0'],
+  P: [6, 'M0 10 L0 0 L3.4 0 C5 0 6 1.1 6 2.75 C6 4.4 5 5.5 3.4 5.5 L0 5.5'],
+  Q: [8, 'M4 0 C6.2 0 8 2.2 8 5 C8 7.8 6.2 10 4 10 C1.8 10 0 7.8 0 5 C0 2.2 1.8 0 4 0 M5 7.2 L8 10.2'],
+  R: [6, 'M0 10 L0 0 L3.4 0 C5 0 6 1.1 6 2.75 C6 4.4 5 5.5 3.4 5.5 L0 5.5 M3.2 5.5 L6 10'],
+  S: [6, 'M5.8 1.6 C5.2 0.6 4.2 0 3 0 C1.4 0 0.2 1 0.2 2.5 C0.2 4 1.4 4.6 3 5 C4.8 5.4 6 6.2 6 7.6 C6 9 4.8 10 3 10 C1.6 10 0.6 9.4 0 8.4'],
+  T: [6.4, 'M0 0 L6.4 0 M3.2 0 L3.2 10'],
+  U: [6.4, 'M0 0 L0 6.6 C0 8.8 1.3 10 3.2 10 C5.1 10 6.4 8.8 6.4 6.6 L6.4 0'],
+  V: [7, 'M0 0 L3.5 10 L7 0'],
+  W: [10, 'M0 0 L2.5 10 L5 2 L7.5 10 L10 0'],
+  X: [6.4, 'M0 0 L6.4 10 M6.4 0 L0 10'],
+  Y: [6.4, 'M0 0 L3.2 5 L6.4 0 M3.2 5 L3.2 10'],
+  Z: [6, 'M0 0 L6 0 L0 10 L6 10'],
+  0: [6, 'M3 0 C4.7 0 6 2.2 6 5 C6 7.8 4.7 10 3 10 C1.3 10 0 7.8 0 5 C0 2.2 1.3 0 3 0'],
+  1: [3, 'M0 2 L3 0 L3 10'],
+  2: [6, 'M0.2 2.4 C0.6 0.9 1.7 0 3 0 C4.7 0 5.8 1.1 5.8 2.8 C5.8 4.2 5 5.2 3.6 6.3 L0 10 L6 10'],
+  3: [6, 'M0.4 1.2 C1 0.4 1.9 0 3 0 C4.6 0 5.6 1 5.6 2.5 C5.6 4 4.5 4.9 2.8 4.9 C4.8 4.9 6 6 6 7.5 C6 9 4.8 10 3 10 C1.8 10 0.8 9.5 0.1 8.6'],
+  4: [6, 'M4.6 10 L4.6 0 L0 7 L6 7'],
+  5: [6, 'M5.6 0 L0.8 0 L0.4 4.6 C1.1 4 2 3.7 3 3.7 C4.8 3.7 6 5 6 6.9 C6 8.8 4.8 10 3 10 C1.8 10 0.8 9.5 0.1 8.6'],
+  6: [6, 'M5.4 1 C4.8 0.3 4 0 3.2 0 C1.2 0 0 2.2 0 5.6 C0 8.6 1.2 10 3 10 C4.8 10 6 8.7 6 6.8 C6 5 4.8 3.8 3.1 3.8 C1.6 3.8 0.4 4.8 0 6'],
+  7: [6, 'M0 0 L6 0 L2.2 10'],
+  8: [6, 'M3 4.8 C1.5 4.8 0.4 3.9 0.4 2.4 C0.4 0.9 1.5 0 3 0 C4.5 0 5.6 0.9 5.6 2.4 C5.6 3.9 4.5 4.8 3 4.8 C1.2 4.8 0 5.8 0 7.4 C0 9 1.2 10 3 10 C4.8 10 6 9 6 7.4 C6 5.8 4.8 4.8 3 4.8'],
+  9: [6, 'M0.6 9 C1.2 9.7 2 10 2.8 10 C4.8 10 6 7.8 6 4.4 C6 1.4 4.8 0 3 0 C1.2 0 0 1.3 0 3.2 C0 5 1.2 6.2 2.9 6.2 C4.4 6.2 5.6 5.2 6 4'],
+  '.': [0, 'M0 9.9 L0 10'],
+  ',': [0.3, 'M0.3 9.6 L-0.3 11.4'],
+  ':': [0, 'M0 3.6 L0 3.7 M0 9.9 L0 10'],
+  ';': [0.3, 'M0.3 3.6 L0.3 3.7 M0.3 9.6 L-0.3 11.4'],
+  '!': [0, 'M0 0 L0 6.6 M0 9.9 L0 10'],
+  '?': [5, 'M0 2 C0.4 0.8 1.4 0 2.6 0 C4 0 5 1 5 2.4 C5 3.6 4.2 4.2 3.2 4.8 C2.6 5.2 2.5 5.8 2.5 6.8 M2.5 9.9 L2.5 10'],
+  '-': [3.5, 'M0 6 L3.5 6'],
+  '–': [6, 'M0 6 L6 6'],
+  '\'': [0, 'M0 0 L0 2.6'],
+  '"': [1.6, 'M0 0 L0 2.6 M1.6 0 L1.6 2.6'],
+  '&': [7, 'M7 10 L1.6 4 C0.8 3.1 0.6 2.6 0.6 2 C0.6 0.8 1.5 0 2.7 0 C3.9 0 4.8 0.8 4.8 2 C4.8 3.2 3.8 4 2.2 5 C0.8 5.9 0 6.8 0 8 C0 9.2 1 10 2.7 10 C4.4 10 5.6 9 6.6 6.6'],
+  '(': [2, 'M2 -0.5 C0.6 1.2 0 3 0 5 C0 7 0.6 8.8 2 10.5'],
+  ')': [2, 'M0 -0.5 C1.4 1.2 2 3 2 5 C2 7 1.4 8.8 0 10.5'],
+  '/': [4, 'M4 0 L0 10'],
+  '#': [6, 'M2 0.5 L1.2 9.5 M4.8 0.5 L4 9.5 M0.3 3.4 L6 3.4 M0 6.6 L5.7 6.6'],
+  '+': [5, 'M0 5.6 L5 5.6 M2.5 3.1 L2.5 8.1'],
+  '%': [7, 'M7 0 L0 10 M1.5 0.4 C2.4 0.4 3 1.1 3 2.1 C3 3.1 2.4 3.8 1.5 3.8 C0.6 3.8 0 3.1 0 2.1 C0 1.1 0.6 0.4 1.5 0.4 M5.5 6.2 C6.4 6.2 7 6.9 7 7.9 C7 8.9 6.4 9.6 5.5 9.6 C4.6 9.6 4 8.9 4 7.9 C4 6.9 4.6 6.2 5.5 6.2'],
+  '*': [4, 'M2 0 L2 4 M0.2 1 L3.8 3 M3.8 1 L0.2 3'],
+  '$': [6, 'M5.8 1.6 C5.2 0.6 4.2 0 3 0 C1.4 0 0.2 1 0.2 2.5 C0.2 4 1.4 4.6 3 5 C4.8 5.4 6 6.2 6 7.6 C6 9 4.8 10 3 10 C1.6 10 0.6 9.4 0 8.4 M3 -1 L3 11'],
+  '·': [0, 'M0 5.4 L0 5.5'],
+  '…': [4, 'M0 9.9 L0 10 M2 9.9 L2 10 M4 9.9 L4 10'],
+};
+const STROKE_FONT_ALIASES = { '’': '\'', '‘': '\'', '“': '"', '”': '"', '—': '–', '|': 'I' };
+// Gap between glyphs, in font units
+const STROKE_FONT_SPACING = 2;
+const glyphCache = new Map();
+
+// A glyph as polylines in font units, with curves flattened
+function strokeGlyph(char) {
+  if (glyphCache.has(char)) return glyphCache.get(char);
+  const [width, pathData] = STROKE_FONT[char];
+  const strokes = [];
+  let current = null;
+  for (const segment of pathData.match(/[MLC][^MLC]*/g) || []) {
+    const numbers = segment.slice(1).trim().split(/\s+/).map(Number);
+    if (segment[0] === 'M') {
+      current = numbers.slice(0, 2);
+      strokes.push(current);
+    } else if (segment[0] === 'L') {
+      current.push(...numbers);
+    } else {
+      const [x0, y0] = current.slice(-2);
+      const [x1, y1, x2, y2, x3, y3] = numbers;
+      for (let step = 1; step <= 12; step++) {
+        const t = step / 12;
+        const s = 1 - t;
+        current.push(
+          s * s * s * x0 + 3 * s * s * t * x1 + 3 * s * t * t * x2 + t * t * t * x3,
+          s * s * s * y0 + 3 * s * s * t * y1 + 3 * s * t * t * y2 + t * t * t * y3,
+        );
+      }
+    }
+  }
+  const glyph = { width, strokes };
+  glyphCache.set(char, glyph);
+  return glyph;
+}
+
+// Capitals without accents; anything the font lacks is dropped
+function strokeFontText(text) {
+  return [...text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toUpperCase()]
+    .map(char => STROKE_FONT_ALIASES[char] || char)
+    .filter(char => char in STROKE_FONT)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Width in pixels of already-normalized text at a cap height of `size`
+function measureStrokeText(text, size) {
+  const units = [...text].reduce((total, char) => total + strokeGlyph(char).width + STROKE_FONT_SPACING, 0);
+  return Math.max(0, units - STROKE_FONT_SPACING) * (size / 10);
+}
+
+/**
+ * Draws normalized text with its cap top at (left, top). Strokes are rendered
+ * into a coverage mask (by distance to each segment, so joins don't double up)
+ * and the mask is blended onto the image in one pass.
+ */
+function drawStrokeText(image, text, left, top, size, color, weight = 0.12) {
+  const scale = size / 10;
+  const radius = (size * weight) / 2;
+  const pad = Math.ceil(radius + 2);
+  const maskLeft = Math.floor(left) - pad;
+  const maskTop = Math.floor(top - scale) - pad;
+  const maskWidth = Math.ceil(measureStrokeText(text, size)) + pad * 2 + 1;
+  const maskHeight = Math.ceil(size * 1.3) + pad * 2;
+  const mask = new Float32Array(maskWidth * maskHeight);
+
+  let penX = left;
+  for (const char of text) {
+    const glyph = strokeGlyph(char);
+    for (const stroke of glyph.strokes) {
+      const points = stroke.map((value, i) => (i % 2 ? top + value * scale - maskTop : penX + value * scale - maskLeft));
+      if (points.length === 2) points.push(points[0], points[1]);
+      for (let i = 0; i + 3 < points.length; i += 2) {
+        const [ax, ay, bx, by] = points.slice(i, i + 4);
+        const [dx, dy] = [bx - ax, by - ay];
+        const lengthSquared = dx * dx + dy * dy || 1e-9;
+        for (let y = Math.max(0, Math.floor(Math.min(ay, by) - radius - 1)); y <= Math.min(maskHeight - 1, Math.ceil(Math.max(ay, by) + radius + 1)); y++) {
+          for (let x = Math.max(0, Math.floor(Math.min(ax, bx) - radius - 1)); x <= Math.min(maskWidth - 1, Math.ceil(Math.max(ax, bx) + radius + 1)); x++) {
+            const [px, py] = [x + 0.5, y + 0.5];
+            const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSquared));
+            const distance = Math.hypot(px - ax - t * dx, py - ay - t * dy);
+            const coverage = Math.min(1, Math.max(0, radius + 0.5 - distance));
+            if (coverage > mask[y * maskWidth + x]) mask[y * maskWidth + x] = coverage;
+          }
+        }
+      }
+    }
+    penX += (glyph.width + STROKE_FONT_SPACING) * scale;
+  }
+
+  for (let y = 0; y < maskHeight; y++) {
+    const imageY = maskTop + y;
+    if (imageY < 0 || imageY >= image.height) continue;
+    for (let x = 0; x < maskWidth; x++) {
+      const alpha = mask[y * maskWidth + x];
+      const imageX = maskLeft + x;
+      if (!alpha || imageX < 0 || imageX >= image.width) continue;
+      const i = (imageY * image.width + imageX) * 3;
+      for (let c = 0; c < 3; c++) image.data[i + c] = image.data[i + c] * (1 - alpha) + color[c] * alpha;
+    }
+  }
+}
+
+// Greedy word wrap; a word wider than the line is left to overflow and be caught by fitting
+function wrapStrokeText(text, size, maxWidth) {
+  const lines = [];
+  for (const word of text.split(' ')) {
+    const line = lines.length ? `${lines[lines.length - 1]} ${word}` : word;
+    if (lines.length && measureStrokeText(line, size) <= maxWidth) lines[lines.length - 1] = line;
+    else lines.push(word);
+  }
+  return lines;
+}
+
+// The largest size at which the text fits the box, ending in "…" if even the smallest doesn't
+function fitStrokeText(text, { maxWidth, maxHeight, maxSize, minSize, lineHeight = 1.45 }) {
+  for (let size = maxSize; size >= minSize; size -= 2) {
+    const lines = wrapStrokeText(text, size, maxWidth);
+    if (lines.length * size * lineHeight - size * (lineHeight - 1) <= maxHeight && lines.every(line => measureStrokeText(line, size) <= maxWidth)) {
+      return { size, lines };
+    }
+  }
+  const size = minSize;
+  const maxLines = Math.max(1, Math.floor((maxHeight + size * (lineHeight - 1)) / (size * lineHeight)));
+  const lines = wrapStrokeText(text, size, maxWidth).slice(0, maxLines);
+  let last = lines[maxLines - 1] || '';
+  while (last && measureStrokeText(`${last}…`, size) > maxWidth) last = last.slice(0, -1);
+  lines[lines.length - 1] = `${last.replace(/[\s.,;:–-]+$/, '')}…`;
+  return { size, lines };
+}
+
+function shareCardPath(ep) {
+  return `${SHARE_CARD_DIR}/${episodeSlug(ep)}.png`;
+}
+
+// Mirrored episode artwork when we have it, otherwise the show artwork; remote images are never fetched
+function shareCardArtwork(ep) {
+  if (ep.localImage && /\.(jpe?g|png)$/i.test(ep.localImage)) return path.join(OUTPUT_DIR, ep.localImage);
+  return path.join(OUTPUT_DIR, 'images', 'podcast-artwork.jpg');
+}
+
+// What the card shows: change any of it and the card is rendered again
+function shareCardText(ep) {
+  const label = ep.episode ? `Episode ${ep.episode}` : ep.episodeType !== 'full' ? ep.episodeType : site.showName;
+  return {
+    label: strokeFontText(label),
+    title: strokeFontText(cleanDescription(stripHtml(ep.title))),
+    details: strokeFontText([formatDate(ep.date), ep.duration].filter(Boolean).join(' · ')),
+    show: strokeFontText(site.showName),
+  };
+}
+
+// Everything but the text, which is the same for every card using this artwork
+function shareCardBackground(artwork) {
+  const card = createImage(SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT, [18, 4, 12]);
+  if (!artwork) return { ...card, textLeft: 90 };
+
+  // The artwork, blurred and darkened, fills the card; a sharp copy sits on the left.
+  // Blurring by stretching a 16x16 thumbnail is cheap and keeps the PNG small.
+  const blurred = resizeImage(artwork, 16, 16);
+  const cropTop = (SHARE_CARD_WIDTH - SHARE_CARD_HEIGHT) / 2;
+  for (let y = 0; y < SHARE_CARD_HEIGHT; y++) {
+    for (let x = 0; x < SHARE_CARD_WIDTH; x++) {
+      const [r, g, b] = sampleImage(blurred, (x / SHARE_CARD_WIDTH) * 16, ((y + cropTop) / SHARE_CARD_WIDTH) * 16);
+      card.data.set([r * 0.3 + 6, g * 0.3, b * 0.3 + 4], (y * SHARE_CARD_WIDTH + x) * 3);
+    }
+  }
+  fillRect(card, 64, 84, 462, 462, hexColor(THEME_COLOR));
+  drawImage(card, resizeImage(artwork, 450, 450), 70, 90);
+  return { ...card, textLeft: 590 };
+}
+
+function renderShareCard(text, background) {
+  const card = { ...background, data: background.data.slice() };
+  const pink = hexColor(THEME_COLOR);
+  const left = background.textLeft;
+  const maxWidth = SHARE_CARD_WIDTH - left - 70;
+  drawStrokeText(card, text.label, left, 100, 30, pink, 0.16);
+  const title = fitStrokeText(text.title, { maxWidth, maxHeight: 280, maxSize: 50, minSize: 30 });
+  title.lines.forEach((line, i) => drawStrokeText(card, line, left, 168 + i * title.size * 1.45, title.size, [255, 255, 255], 0.13));
+  drawStrokeText(card, text.details, left, 492, 24, [243, 198, 228], 0.12);
+  fillRect(card, left, 540, 56, 6, pink);
+  return encodePNG(card);
+}
+
+/**
+ * Writes a share card per episode and sets ep.shareCard to its path. Cards
+ * whose inputs match .cache/build.json are kept as they are; artwork that
+ * can't be decoded (a progressive JPEG, say) gives a plain card.
+ */
+function writeShareCards(episodes, writer, cache, { force = false, redirects = {} } = {}) {
+  const previous = (!force && cache.cards) || {};
+  const artworkFiles = new Map();
+  const artworkFor = (filePath) => {
+    if (!artworkFiles.has(filePath)) {
+      const content = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+      artworkFiles.set(filePath, { content, hash: content ? sha256(content) : '', background: null });
+    }
+    return artworkFiles.get(filePath);
+  };
+
+  cache.cards = {};
+  let rendered = 0;
+  for (const ep of episodes) {
+    const relPath = shareCardPath(ep);
+    const text = shareCardText(ep);
+    const artwork = artworkFor(shareCardArtwork(ep));
+    const key = sha256(JSON.stringify([SHARE_CARD_VERSION, text, artwork.hash]));
+    ep.shareCard = relPath;
+    cache.cards[relPath] = key;
+    if (previous[relPath] === key && writer.keep(relPath)) continue;
+
+    if (!artwork.background) {
+      let image = null;
+      try {
+        image = artwork.content && decodeImage(artwork.content);
+      } catch (err) {
+        console.log(`  Share cards: can't use ${path.relative(OUTPUT_DIR, shareCardArtwork(ep))} (${err.message}), drawing them without artwork`);
+      }
+      artwork.background = shareCardBackground(image);
+    }
+    writer.write(relPath, renderShareCard(text, artwork.background));
+    rendered++;
+  }
+
+  // Links shared before a slug moved still point at the old card
+  for (const [slug, ep] of Object.entries(redirects)) {
+    writer.write(`${SHARE_CARD_DIR}/${slug}.png`, fs.readFileSync(path.join(OUTPUT_DIR, ep.shareCard)));
+  }
+  console.log(`  ${episodes.length} share cards (${rendered} rendered, ${episodes.length - rendered} unchanged)`);
+}
+
+// ─── Incremental Build Cache ────────────────────────────────────────────────
+
+const CACHE_PATH = path.join(OUTPUT_DIR, '.cache', 'build.json');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function loadBuildCache() {
+  if (!fs.existsSync(CACHE_PATH)) return { feeds: {}, pages: {} };
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_PATH, 'utf-8'));
+  } catch (err) {
+    console.log(`Ignoring unreadable build cache: ${err.message}`);
+    return { feeds: {}, pages: {} };
+  }
+}
+
+function saveBuildCache(cache) {
+  fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+  fs.writeFileSync(CACHE_PATH, JSON.stringify(cache) + '\n');
+}
+
+// Cached episodes come back from JSON with their dates as strings
+function reviveEpisodes(episodes) {
+  return episodes.map(ep => ({ ...ep, date: new Date(ep.date) }));
+}
+
+/**
+ * Writes generated files only when their content hash differs from the last
+ * build (or from what is on disk), and deletes files the previous build wrote
+ * that this one no longer produces. With `force` every file is rewritten.
+ */
+function createPageWriter(previousPages, { force = false } = {}) {
+  const pages = {};
+  const stats = { added: 0, changed: 0, unchanged: 0, deleted: 0 };
+
+  // Compared with what is on disk, not the cache, so a hand-edited or damaged file is put back
+  const diskHash = filePath => (fs.existsSync(filePath) ? sha256(fs.readFileSync(filePath)) : null);
+
+  function write(relPath, content) {
+    const filePath = path.join(OUTPUT_DIR, relPath);
+    const hash = sha256(content);
+    const current = diskHash(filePath);
+    pages[relPath] = hash;
+
+    // --force rewrites everything, and says so
+    const status = current === null ? 'added' : force || current !== hash ? 'changed' : 'unchanged';
+    stats[status]++;
+    if (status === 'unchanged') return;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    console.log(`  ${relPath} (${status})`);
+  }
+
+  // A file from an earlier build that is known to be current without regenerating it
+  function keep(relPath) {
+    if (force || !previousPages[relPath] || diskHash(path.join(OUTPUT_DIR, relPath)) !== previousPages[relPath]) return false;
+    pages[relPath] = previousPages[relPath];
+    stats.unchanged++;
+    return true;
+  }
+
+  function finish() {
+    for (const relPath of Object.keys(previousPages)) {
+      if (relPath in pages) continue;
+      const filePath = path.join(OUTPUT_DIR, relPath);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+        console.log(`  ${relPath} (deleted)`);
+      }
+      stats.deleted++;
+    }
+    return { pages, stats };
+  }
+
+  return { write, keep, finish };
+}
+
+// ─── SEO: Meta Tags, Structured Data, Sitemap ───────────────────────────────
+
+// --base-url wins, then siteUrl from the config, then the custom domain GitHub Pages serves from CNAME
+function resolveSiteUrl() {
+  const baseArg = process.argv.indexOf('--base-url');
+  if (baseArg !== -1 && process.argv[baseArg + 1]) return process.argv[baseArg + 1].replace(/\/+$/, '');
+  if (site.siteUrl) return site.siteUrl.replace(/\/+$/, '');
+  const cnamePath = path.join(OUTPUT_DIR, 'CNAME');
+  if (fs.existsSync(cnamePath)) {
+    const domain = fs.readFileSync(cnamePath, 'utf-8').trim();
+    if (domain) return `https://${domain}`;
+  }
+  return '';
+}
+
+// Absolute URL for a site-relative path; remote URLs pass through untouched
+function absoluteURL(siteUrl, relPath) {
+  if (/^https?:\/\//.test(relPath) || !siteUrl) return relPath;
+  return new URL(relPath, `${siteUrl}/`).href;
+}
+
+// Canonical link plus Open Graph and Twitter Card tags. `path` is the page's
+// site-relative URL ('' for the home page) and `image` is site-relative or absolute.
+function metaTagsHTML(siteUrl, { path: pagePath, title, description, image, imageSize = null, type = 'website', card = 'summary' }) {
+  const url = absoluteURL(siteUrl, pagePath);
+  const imageUrl = absoluteURL(siteUrl, image);
+  return `${siteUrl ? `
+  <link rel="canonical" href="${escapeHtml(url)}">
+  <meta property="og:url" content="${escapeHtml(url)}">` : ''}
+  <meta property="og:site_name" content="${escapeHtml(site.siteName)}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:image" content="${escapeHtml(imageUrl)}">${imageSize ? `
+  <meta property="og:image:width" content="${imageSize[0]}">
+  <meta property="og:image:height" content="${imageSize[1]}">` : ''}
+  <meta property="og:type" content="${type}">
+  <meta name="twitter:card" content="${card}">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  <meta name="twitter:image" content="${escapeHtml(imageUrl)}">`;
+}
+
+// JSON-LD block; "<" is escaped so show-notes text can't close the script early
+function jsonLdHTML(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+function podcastSeriesLd(podcastMeta, siteUrl) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'PodcastSeries',
+    name: podcastMeta.title,
+    description: plainText(showDescriptionHTML(podcastMeta)),
+    url: absoluteURL(siteUrl, ''),
+    image: absoluteURL(siteUrl, 'images/podcast-artwork.jpg'),
+    webFeed: absoluteURL(siteUrl, 'feed.xml'),
+    inLanguage: podcastMeta.language,
+    author: { '@type': 'Person', name: podcastMeta.author },
+  };
+}
+
+function podcastEpisodeLd(ep, siteUrl) {
+  const seconds = durationSeconds(ep.durationRaw);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'PodcastEpisode',
+    name: ep.fullTitle,
+    url: absoluteURL(siteUrl, `episodes/${episodeFilename(ep)}`),
+    description: truncate(showNotesText(ep), 300),
+    ...(isoDate(ep.date) ? { datePublished: isoDate(ep.date) } : {}),
+    ...(ep.episode ? { episodeNumber: ep.episode } : {}),
+    ...(seconds ? { timeRequired: `PT${Math.floor(seconds / 60)}M${seconds % 60}S` } : {}),
+    image: absoluteURL(siteUrl, ep.localImage || ep.episodeImage || 'images/podcast-artwork.jpg'),
+    ...(ep.localAudio || ep.audioUrl ? {
+      associatedMedia: {
+        '@type': 'MediaObject',
+        contentUrl: absoluteURL(siteUrl, ep.localAudio || ep.audioUrl),
+        encodingFormat: ep.audioType,
+      },
+    } : {}),
+    partOfSeason: { '@type': 'PodcastSeason', seasonNumber: ep.season },
+    partOfSeries: { '@type': 'PodcastSeries', name: site.showName, url: absoluteURL(siteUrl, '') },
+  };
+}
+
+// Pages get no <lastmod> when there is no date to give them
+function generateSitemap(episodes, siteUrl, extraPaths = []) {
+  const times = episodes.map(ep => ep.date.getTime()).filter(time => !isNaN(time));
+  const latest = new Date(times.length ? Math.max(...times) : NaN);
+  const urls = [
+    { loc: '', lastmod: latest },
+    { loc: 'episodes.html', lastmod: latest },
+    { loc: 'about.html', lastmod: latest },
+    { loc: 'stats.html', lastmod: latest },
+    ...episodes.map(ep => ({ loc: `episodes/${episodeFilename(ep)}`, lastmod: ep.date })),
+    ...extraPaths.map(loc => ({ loc, lastmod: latest })),
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(u => `  <url>
+    <loc>${escapeXml(absoluteURL(siteUrl, u.loc))}</loc>${isoDate(u.lastmod) ? `
+    <lastmod>${isoDate(u.lastmod)}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+function generateRobotsTxt(siteUrl) {
+  return `User-agent: *
+Allow: /
+
+Sitemap: ${absoluteURL(siteUrl, 'sitemap.xml')}
+`;
+}
+
+// ─── Progressive Web App ────────────────────────────────────────────────────
+//
+// manifest.webmanifest makes the archive installable and sw.js keeps it usable
+// without a connection: the shell below is precached under a name that changes
+// whenever any of it does, and episodes saved with "Available offline"
+// (js/main.js) live in their own cache that the worker only ever reads.
+
+const THEME_COLOR = '#FF00AA';
+const OFFLINE_CACHE = 'ss-episodes';
+const PWA_ICONS = [
+  { src: 'images/favicon-32x32.png', sizes: '32x32', type: 'image/png' },
+  { src: 'images/apple-touch-icon.png', sizes: '180x180', type: 'image/png' },
+  { src: 'images/podcast-artwork.jpg', sizes: '1400x1400', type: 'image/jpeg' },
+];
+const SHELL_FILES = ['index.html', 'episodes.html', 'about.html', 'offline.html', 'css/style.css', 'js/main.js',
+  'manifest.webmanifest', 'search-index.json', ...PWA_ICONS.map(icon => icon.src)];
+
+function generateManifest() {
+  return JSON.stringify({
+    name: site.siteName,
+    short_name: site.showName,
+    description: site.about.description,
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    background_color: '#ffffff',
+    theme_color: THEME_COLOR,
+    icons: PWA_ICONS.filter(icon => fs.existsSync(path.join(OUTPUT_DIR, icon.src))),
+  }, null, 2) + '\n';
+}
+
+function generateOfflinePage({ siteUrl = '' } = {}) {
+  return renderPage({
+    path: 'offline.html',
+    title: `Offline - ${site.siteName}`,
+    description: 'This page is not saved on this device.',
+    siteUrl,
+    extraHead: '<meta name="robots" content="noindex">',
+    body: `<section class="about-hero">
+    <h1>You're Offline</h1>
+  </section>
+
+  <section class="about-content">
+    <div class="about-container">
+      <div class="about-text">
+        <p>That page isn't saved on this device. Episodes you save with <strong>Available offline</strong> play without a connection:</p>
+        <ul class="offline-list" id="offline-episodes">
+          <li>No episodes saved on this device yet.</li>
+        </ul>
+        <p><a href="episodes.html">Browse all episodes</a></p>
+      </div>
+    </div>
+  </section>`,
+  });
+}
+
+// Only the shell files that exist; the version covers their content so any change reinstalls the worker
+function generateServiceWorker() {
+  const files = SHELL_FILES.filter(file => fs.existsSync(path.join(OUTPUT_DIR, file)));
+  const version = sha256(files.map(file => sha256(fs.readFileSync(path.join(OUTPUT_DIR, file)))).join('')).slice(0, 12);
+  return `// Generated by build.js; edit generateServiceWorker there instead.
+const SHELL_CACHE = 'ss-shell-${version}';
+const OFFLINE_CACHE = '${OFFLINE_CACHE}';
+const SHELL_FILES = ${JSON.stringify(['./', ...files])};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE)
+    .then(cache => cache.addAll(SHELL_FILES))
+    .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('ss-shell-') && key !== SHELL_CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// Saved audio is stored whole; answer the player's Range requests by slicing it
+function rangeResponse(request, response) {
+  const range = /^bytes=(\\d*)-(\\d*)$/.exec(request.headers.get('range') || '');
+  if (!range || response.type === 'opaque') return response;
+  return response.blob().then((body) => {
+    const start = range[1] ? Number(range[1]) : Math.max(0, body.size - Number(range[2]));
+    const end = range[1] && range[2] ? Math.min(Number(range[2]), body.size - 1) : body.size - 1;
+    if (start >= body.size) {
+      return new Response(null, { status: 416, headers: { 'Content-Range': 'bytes */' + body.size } });
+    }
+    return new Response(body.slice(start, end + 1), {
+      status: 206,
+      headers: {
+        'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+        'Content-Range': 'bytes ' + start + '-' + end + '/' + body.size,
+        'Content-Length': String(end - start + 1),
+      },
+    });
+  });
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  // Pages come from the network so the archive stays current, then from whatever is saved
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match(request, { ignoreSearch: true })
+      .then(cached => cached || Response.redirect(new URL('offline.html', self.registration.scope).href))));
+    return;
+  }
+
+  // The shell and saved episodes (audio included, often from another host) straight from the cache
+  event.respondWith(caches.match(request)
+    .then(cached => (cached ? rangeResponse(request, cached) : fetch(request))));
+});
+`;
+}
+
+// ─── Site Checker ───────────────────────────────────────────────────────────
+//
+// `--check` crawls the generated HTML already on disk (no build) and reports
+// markup that doesn't parse, duplicate ids, missing titles and descriptions,
+// and internal links, images and assets that point at nothing.
+
+// Theme partials and test fixtures are HTML fragments, not pages
+const CHECK_SKIP_DIRS = new Set(['node_modules', 'theme', 'test']);
+const RAW_TEXT_TAGS = new Set(['script', 'style']);
+// Closed implicitly by the parser, so a missing end tag is fine
+const OPTIONAL_END_TAGS = new Set(['html', 'head', 'body', 'p', 'li', 'dt', 'dd', 'option', 'thead', 'tbody', 'tr', 'td', 'th']);
+const EXTERNAL_URL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+function findSitePages(dir, found = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || CHECK_SKIP_DIRS.has(entry.name)) continue;
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) findSitePages(filePath, found);
+    else if (entry.name.endsWith('.html')) found.push(filePath);
+  }
+  return found;
+}
+
+function lineAt(html, index) {
+  return html.slice(0, index).split('\n').length;
+}
+
+/**
+ * Tokenizes one page, returning its parse problems along with the ids,
+ * title, description and href/src references the cross-page checks need.
+ */
+function inspectPage(html) {
+  const problems = [];
+  const ids = new Map();
+  const refs = [];
+  const stack = [];
+  let title = null;
+  let description = null;
+  let last = 0;
+
+  const checkText = (text, offset) => {
+    const stray = text.search(/<\/?[a-zA-Z]/);
+    if (stray !== -1) problems.push(`line ${lineAt(html, offset + stray)}: malformed tag "${text.slice(stray, stray + 30).split('\n')[0]}"`);
+  };
+
+  const tokens = new RegExp(HTML_TOKEN.source, 'g');
+  let match;
+  while ((match = tokens.exec(html))) {
+    checkText(html.slice(last, match.index), last);
+    last = tokens.lastIndex;
+    const line = () => lineAt(html, match.index);
+
+    if (!match[2]) {
+      if (match[0].startsWith('<!--') && !match[0].endsWith('-->')) problems.push(`line ${line()}: unterminated comment`);
+      continue;
+    }
+    const tag = match[2].toLowerCase();
+
+    if (match[1]) {
+      // Close back to the matching open tag, like a browser would, so one mistake isn't reported all page long
+      const depth = stack.map(open => open.tag).lastIndexOf(tag);
+      if (depth === -1) {
+        problems.push(`line ${line()}: unexpected </${tag}>`);
+        continue;
+      }
+      for (const open of stack.splice(depth + 1)) {
+        if (!OPTIONAL_END_TAGS.has(open.tag)) problems.push(`line ${open.line}: <${open.tag}> is never closed`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    const attrs = parseAttrs(match[3]);
+    if (attrs.id !== undefined) {
+      if (ids.has(attrs.id)) problems.push(`line ${line()}: duplicate id "${attrs.id}" (first on line ${ids.get(attrs.id)})`);
+      else ids.set(attrs.id, line());
+    }
+    for (const attr of ['href', 'src']) {
+      if (attrs[attr] !== undefined) refs.push({ tag, url: decodeHtmlEntities(attrs[attr]).trim(), line: line() });
+    }
+    if (tag === 'meta' && attrs.name === 'description') description = attrs.content || '';
+    // Self-closing is only meaningful in inline SVG, the one foreign content we emit
+    if (VOID_TAGS.has(tag) || match[0].endsWith('/>')) continue;
+    stack.push({ tag, line: line() });
+
+    if (RAW_TEXT_TAGS.has(tag) || tag === 'title') {
+      const end = html.toLowerCase().indexOf(`</${tag}`, tokens.lastIndex);
+      if (end === -1) {
+        problems.push(`line ${line()}: <${tag}> is never closed`);
+        return { problems, ids, refs, title, description };
+      }
+      if (tag === 'title') title = decodeHtmlEntities(html.slice(tokens.lastIndex, end)).trim();
+      tokens.lastIndex = last = end;
+    }
+  }
+  checkText(html.slice(last), last);
+
+  for (const open of stack) {
+    if (!OPTIONAL_END_TAGS.has(open.tag)) problems.push(`line ${open.line}: <${open.tag}> is never closed`);
+  }
+  return { problems, ids, refs, title, description };
+}
+
+// Resolves an internal href/src to a file path plus fragment, or null for external URLs
+function resolveReference(url, pagePath, rootDir) {
+  if (!url || EXTERNAL_URL.test(url)) return null;
+  const [, target, fragment = ''] = url.match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/);
+  let filePath = pagePath;
+  if (target) {
+    let decoded = target;
+    try { decoded = decodeURIComponent(target); } catch { /* keep it as written */ }
+    filePath = decoded.startsWith('/') ? path.join(rootDir, decoded) : path.resolve(path.dirname(pagePath), decoded);
+    if (target.endsWith('/')) filePath = path.join(filePath, 'index.html');
+  }
+  return { filePath, fragment };
+}
+
+// The published API documents against the published schema
+function checkApiFiles(rootDir) {
+  const schemaPath = path.join(rootDir, 'api', 'schema.json');
+  if (!fs.existsSync(schemaPath)) return 0;
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf-8'));
+  const episodeDir = path.join(rootDir, 'api', 'episodes');
+  const documents = [['api/episodes.json', schema]];
+  if (fs.existsSync(episodeDir)) {
+    for (const file of fs.readdirSync(episodeDir).filter(name => name.endsWith('.json')).sort()) {
+      documents.push([`api/episodes/${file}`, schema.$defs.episodeDocument]);
+    }
+  }
+
+  let failed = 0;
+  for (const [relPath, documentSchema] of documents) {
+    let problems;
+    try {
+      problems = schemaErrors(JSON.parse(fs.readFileSync(path.join(rootDir, relPath), 'utf-8')), documentSchema, schema);
+    } catch (err) {
+      problems = [err.code === 'ENOENT' ? 'missing' : err.message];
+    }
+    if (!problems.length) continue;
+    failed += problems.length;
+    console.log(relPath);
+    problems.forEach(problem => console.log(`  - ${problem}`));
+  }
+  return failed;
+}
+
+function checkSite(rootDir) {
+  const pagePaths = findSitePages(rootDir);
+  const pages = new Map(pagePaths.map(pagePath => [pagePath, inspectPage(fs.readFileSync(pagePath, 'utf-8'))]));
+  let failed = 0;
+  let failedPages = 0;
+
+  console.log(`Checking ${pages.size} pages in ${rootDir}...\n`);
+
+  for (const [pagePath, page] of pages) {
+    const problems = [...page.problems];
+    if (!page.title) problems.push('missing <title>');
+    if (!page.description) problems.push('missing <meta name="description">');
+
+    for (const ref of page.refs) {
+      const resolved = resolveReference(ref.url, pagePath, rootDir);
+      if (!resolved) continue;
+      const kind = ref.tag === 'a' ? 'broken link' : ref.tag === 'img' ? 'missing image' : 'missing asset';
+      if (!fs.existsSync(resolved.filePath)) {
+        problems.push(`line ${ref.line}: ${kind} ${ref.url}`);
+        continue;
+      }
+      // Fragments that look like ids must exist on the target page (#t=1:23 and the like are player hashes)
+      const target = pages.get(resolved.filePath);
+      if (target && /^[A-Za-z][\w:.-]*$/.test(resolved.fragment) && !target.ids.has(resolved.fragment)) {
+        problems.push(`line ${ref.line}: broken link ${ref.url} (no element with id "${resolved.fragment}")`);
+      }
+    }
+
+    if (!problems.length) continue;
+    failed += problems.length;
+    failedPages++;
+    console.log(path.relative(rootDir, pagePath));
+    problems.forEach(problem => console.log(`  - ${problem}`));
+  }
+
+  const apiProblems = checkApiFiles(rootDir);
+  failed += apiProblems;
+
+  const where = [failedPages ? `${failedPages} of ${pages.size} pages` : '', apiProblems ? 'the API files' : ''].filter(Boolean).join(' and ');
+  console.log(failed
+    ? `\n${failed} problem${failed === 1 ? '' : 's'} in ${where}`
+    : `No problems found in ${pages.size} pages`);
+  return failed;
+}
+
+// ─── Preview Server ─────────────────────────────────────────────────────────
+//
+// node build.js --serve builds the site, serves it on http://localhost and
+// watches the generator, stylesheet, script and every file the build reads
+// (see previewSourceFiles). Each rebuild runs the current build.js in a child
+// process, so edits to the generator itself take effect. Rebuilds pass
+// --cached: feeds, transcripts and chapters come from the first build's cache
+// instead of the network, and the page cache means only pages whose output
+// changed are rewritten. Open browsers reload when the page they show changes, and show
+// the error over the page when a build fails.
+
+const SERVE_PORT = 8080;
+const LIVE_RELOAD_PATH = '/__live-reload';
+// Served without a rebuild; browsers pick them up directly
+const PREVIEW_ASSETS = ['css/style.css', 'js/main.js'];
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.srt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+};
+
+// Injected into every HTML response, never written to disk
+const LIVE_RELOAD_SCRIPT = `<script>
+(function () {
+  // A service worker would answer from its cache and hide rebuilt pages
+  if (navigator.serviceWorker) navigator.serviceWorker.getRegistrations().then(function (regs) { regs.forEach(function (reg) { reg.unregister(); }); });
+  var page = decodeURIComponent(location.pathname).replace(/^\\//, '').replace(/(^|\\/)$/, '$1index.html');
+  var overlay = null;
+  var events = new EventSource('${LIVE_RELOAD_PATH}');
+  events.addEventListener('reload', function (event) {
+    var change = JSON.parse(event.data);
+    if (overlay || change.pages.indexOf(page) !== -1 || change.pages.indexOf(page + '.html') !== -1 || change.assets.indexOf('js/main.js') !== -1) return location.reload();
+    if (change.assets.indexOf('css/style.css') === -1) return;
+    document.querySelectorAll('link[rel="stylesheet"][href*="css/style.css"]').forEach(function (link) {
+      link.href = link.href.replace(/\\?.*$/, '') + '?' + Date.now();
+    });
+  });
+  events.addEventListener('build-error', function (event) {
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.setAttribute('role', 'alert');
+      overlay.style.cssText = 'position:fixed;inset:0;z-index:99999;overflow:auto;padding:32px;background:rgba(20,20,20,.94);color:#fff;font:14px/1.5 ui-monospace,Menlo,Consolas,monospace';
+      document.body.appendChild(overlay);
+    }
+    overlay.innerHTML = '<p style="margin:0 0 16px;color:#ff6b9d;font-weight:bold">Build failed. Fix the error and save to rebuild.</p><pre style="margin:0;white-space:pre-wrap"></pre>';
+    overlay.querySelector('pre').textContent = JSON.parse(event.data);
+  });
+})();
+</script>`;
+
+// The file a request maps to: directories serve index.html, and /about serves about.html as GitHub Pages does
+function previewFilePath(requestPath) {
+  const filePath = path.join(OUTPUT_DIR, requestPath);
+  if (filePath !== OUTPUT_DIR && !filePath.startsWith(OUTPUT_DIR + path.sep)) return null;
+  if (requestPath.split('/').some(segment => segment.startsWith('.'))) return null;
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) return previewFilePath(path.posix.join(requestPath, 'index.html'));
+  if (fs.existsSync(filePath)) return filePath;
+  if (!path.extname(filePath) && fs.existsSync(`${filePath}.html`)) return `${filePath}.html`;
+  return null;
+}
+
+function servePreviewFile(req, res) {
+  let requestPath;
+  try {
+    requestPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (err) {
+    requestPath = null;
+  }
+  // The offline worker stays out of the preview; see LIVE_RELOAD_SCRIPT
+  const filePath = requestPath && requestPath !== '/sw.js' ? previewFilePath(requestPath) : null;
+  if (!filePath) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`Not found: ${requestPath}\n`);
+    return;
+  }
+
+  const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  const headers = { 'Content-Type': type, 'Cache-Control': 'no-store' };
+  if (type.startsWith('text/html')) {
+    const html = fs.readFileSync(filePath, 'utf-8');
+    const body = /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${LIVE_RELOAD_SCRIPT}\n</body>`) : html + LIVE_RELOAD_SCRIPT;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? '' : body);
+    return;
+  }
+
+  // Byte ranges, so mirrored audio can seek
+  const size = fs.statSync(filePath).size;
+  const range = (req.headers.range || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (range && (range[1] || range[2])) {
+    const start = range[1] ? Number(range[1]) : Math.max(size - Number(range[2]), 0);
+    const end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+    if (start > end || start >= size) {
+      res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+      res.end();
+      return;
+    }
+    res.writeHead(206, { ...headers, 'Accept-Ranges': 'bytes', 'Content-Range': `bytes ${start}-${end}/${size}`, 'Content-Length': end - start + 1 });
+    if (req.method === 'HEAD') res.end();
+    else fs.createReadStream(filePath, { start, end }).pipe(res);
+    return;
+  }
+  res.writeHead(200, { ...headers, 'Accept-Ranges': 'bytes', 'Content-Length': size });
+  if (req.method === 'HEAD') res.end();
+  else fs.createReadStream(filePath).pipe(res);
+}
+
+// What to watch besides the generator and assets: everything a build reads.
+// That is the config and the files it names (About page, local feed sources),
+// a --file feed, episode-metadata.json, and the transcripts and theme
+// directories with the files in them. Paths that don't exist yet are watched
+// too, so creating one triggers a rebuild.
+function previewSourceFiles(configPath) {
+  const files = [configPath, METADATA_PATH];
+  const fileArg = process.argv.indexOf('--file');
+  if (fileArg !== -1 && process.argv[fileArg + 1]) files.push(path.resolve(process.argv[fileArg + 1]));
+  try {
+    const config = loadSiteConfig(configPath);
+    files.push(config.aboutPath);
+    for (const source of config.feeds) {
+      if (source.file || source.episodes) files.push(source.file || source.episodes);
+    }
+  } catch (err) {
+    // The build reports it
+  }
+  for (const dir of [TRANSCRIPTS_DIR, themeDirectory()]) {
+    files.push(dir);
+    if (fs.existsSync(dir) && fs.statSync(dir).isDirectory()) {
+      files.push(...fs.readdirSync(dir).map(name => path.join(dir, name)));
+    }
+  }
+  return files;
+}
+
+function startPreviewServer() {
+  const portArg = process.argv.indexOf('--port');
+  const port = portArg !== -1 ? Number(process.argv[portArg + 1]) : SERVE_PORT;
+  const configArg = process.argv.indexOf('--config');
+  const configPath = configArg !== -1 ? path.resolve(process.argv[configArg + 1]) : CONFIG_PATH;
+  // The build's own arguments; --force only applies to the first build, and
+  // later ones reuse its feeds, transcripts and chapters from the cache
+  const buildArgs = process.argv.slice(2).filter((arg, i, args) => arg !== '--serve' && arg !== '--port' && args[i - 1] !== '--port');
+  const rebuildArgs = [...buildArgs.filter(arg => arg !== '--force' && arg !== '--cached'), '--cached'];
+
+  const clients = new Set();
+  let lastError = null;
+  const send = (event, data) => {
+    for (const res of clients) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  let building = false;
+  let queued = null;
+  function rebuild(changed, args) {
+    if (building) {
+      queued = [...new Set([...(queued || []), ...changed])];
+      return;
+    }
+    building = true;
+    const before = loadBuildCache().pages || {};
+    const child = require('child_process').spawn(process.execPath, [__filename, ...args], { cwd: process.cwd(), stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    let errors = '';
+    child.stdout.on('data', (chunk) => {
+      process.stdout.write(chunk);
+      output += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      process.stderr.write(chunk);
+      errors += chunk;
+    });
+    child.on('close', (code) => {
+      building = false;
+      if (code === 0) {
+        const after = loadBuildCache().pages || {};
+        const pages = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(relPath => before[relPath] !== after[relPath]);
+        lastError = null;
+        send('reload', { pages, assets: [] });
+      } else {
+        lastError = (errors || output).trim().split('\n').slice(-40).join('\n');
+        send('build-error', lastError);
+      }
+      console.log(`\nWatching for changes (http://localhost:${port}/)`);
+      if (queued) {
+        const next = queued;
+        queued = null;
+        rebuild(next, rebuildArgs);
+      }
+      watchSources();
+    });
+  }
+
+  // Editors often save a file in several writes; wait for them to settle
+  let pending = new Set();
+  let timer = null;
+  function changed(file) {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...pending].map(filePath => path.relative(OUTPUT_DIR, filePath).split(path.sep).join('/'));
+      pending = new Set();
+      console.log(`\nChanged: ${files.join(', ')}`);
+      const assets = files.filter(file => PREVIEW_ASSETS.includes(file));
+      if (assets.length === files.length) {
+        send('reload', { pages: [], assets });
+      } else {
+        rebuild(files, rebuildArgs);
+      }
+    }, 150);
+  }
+
+  // Polling survives editors that save by replacing the file. The list is
+  // refreshed after every build, as the config can name new files and new
+  // transcripts or theme partials can appear.
+  const watched = new Set();
+  function watchSources() {
+    const wanted = new Set([__filename, ...PREVIEW_ASSETS.map(asset => path.join(OUTPUT_DIR, asset)), ...previewSourceFiles(configPath)]);
+    for (const file of wanted) {
+      if (watched.has(file)) continue;
+      watched.add(file);
+      fs.watchFile(file, { interval: 300 }, (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) changed(file);
+      });
+    }
+    for (const file of watched) {
+      if (wanted.has(file)) continue;
+      watched.delete(file);
+      fs.unwatchFile(file);
+    }
+  }
+  watchSources();
+
+  const server = http.createServer((req, res) => {
+    if (req.url === LIVE_RELOAD_PATH) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-store', Connection: 'keep-alive' });
+      res.write('retry: 1000\n\n');
+      if (lastError) res.write(`event: build-error\ndata: ${JSON.stringify(lastError)}\n\n`);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    servePreviewFile(req, res);
+  });
+  server.on('error', (err) => {
+    console.error(`Preview server failed: ${err.code === 'EADDRINUSE' ? `port ${port} is in use (try --port)` : err.message}`);
+    process.exit(1);
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Previewing ${OUTPUT_DIR} at http://localhost:${port}/\n`);
+    rebuild([], buildArgs);
+  });
+}
+
+// ─── Main Build Function ────────────────────────────────────────────────────
+
+async function build() {
+  const configArg = process.argv.indexOf('--config');
+  useSiteConfig(configArg !== -1 ? path.resolve(process.argv[configArg + 1]) : CONFIG_PATH);
+
+  console.log(`${site.siteName} Builder`);
+  console.log(`${'='.repeat(site.siteName.length + 8)}\n`);
+
+  const force = process.argv.includes('--force');
+  const offline = process.argv.includes('--cached');
+  const cache = loadBuildCache();
+  // Feeds parsed by another build.js are parsed again (see loadFeedSource)
+  const generator = sha256(fs.readFileSync(__filename));
+  const fileArg = process.argv.indexOf('--file');
+  const mainSource = fileArg !== -1 && process.argv[fileArg + 1]
+    ? { name: 'main', file: path.resolve(process.argv[fileArg + 1]) }
+    : { name: 'main', url: site.rssUrl };
+  const sources = [mainSource, ...(site.feeds || [])];
+
+  // Get each source's episodes, reusing the cached parse when it hasn't changed
+  const previousFeeds = (!force && cache.feeds) || {};
+  cache.feeds = {};
+  delete cache.feed;
+  for (const source of sources) {
+    const location = source.url || source.file || source.episodes;
+    const entry = previousFeeds[source.name];
+    const cached = entry && entry.location === location ? entry : null;
+    const feed = await loadFeedSource(source, cached, { offline, generator });
+    cache.feeds[source.name] = { ...feed, location, generator };
+    source.podcastMeta = feed.podcastMeta;
+    source.episodes = reviveEpisodes(feed.episodes);
+    console.log(`Found ${source.episodes.length} episodes in ${source.name === 'main' ? 'the main feed' : source.name}\n`);
+  }
+
+  const { podcastMeta } = mainSource;
+  const { episodes, conflicts, merges } = mergeSources(sources);
+
+  console.log(`Podcast: ${podcastMeta.title}`);
+  console.log(`Author: ${podcastMeta.author}`);
+  if (podcastMeta.image) {
+    console.log(`Artwork: ${podcastMeta.image}`);
+  }
+
+  if (sources.length > 1) console.log(`\nMerged ${sources.length} feed sources`);
+  reportMerges(merges);
+  reportConflicts(conflicts);
+  console.log(`\nFound ${episodes.length} episodes`);
+
+  // Stable episode URLs, with redirects from any slug an episode used to have
+  const slugMap = loadSlugMap();
+  const { moved, redirects } = assignSlugs(episodes, slugMap);
+
+  episodes.forEach(ep => {
+    console.log(`  ${ep.episode ? 'Ep ' + ep.episode : ep.slug}: ${ep.title} (${formatDate(ep.date)})`);
+  });
+  moved.forEach(({ ep, from }) => console.log(`  Moved episodes/${from}.html to episodes/${ep.slug}.html`));
+  if (saveSlugMap(slugMap)) console.log('Updated episode-slugs.json');
+
+  // Download artwork if we have a URL
+  const artworkPath = path.join(OUTPUT_DIR, 'images', 'podcast-artwork.jpg');
+  if (podcastMeta.image && !fs.existsSync(artworkPath)) {
+    console.log('\nDownloading podcast artwork...');
+    try {
+      const artworkData = await fetchBinary(podcastMeta.image);
+      fs.writeFileSync(artworkPath, artworkData);
+      console.log('Artwork saved to images/podcast-artwork.jpg');
+    } catch (err) {
+      console.log(`Could not download artwork: ${err.message}`);
+      console.log('Please manually save artwork to images/podcast-artwork.jpg');
+    }
+  }
+
+  // Mirror episode audio and artwork
+  const mediaDirArg = process.argv.indexOf('--media-dir');
+  const mediaDir = path.resolve(OUTPUT_DIR, mediaDirArg !== -1 ? process.argv[mediaDirArg + 1] : 'media');
+  const mediaManifest = loadMediaManifest(mediaDir);
+  if (process.argv.includes('--mirror')) {
+    console.log(`\nMirroring media into ${path.relative(OUTPUT_DIR, mediaDir)}/...`);
+    const result = await mirrorMedia(episodes, mediaDir, mediaManifest);
+    console.log(`Mirrored ${result.downloaded} new files, ${result.failed} failed, ${result.total} referenced`);
+  }
+  applyMediaManifest(episodes, mediaDir, mediaManifest);
+
+  // Transcripts from transcripts/ or the feed, chapters from the feed or show notes
+  console.log('\nLoading transcripts and chapters...');
+  const transcriptCount = await attachTranscripts(episodes, { force, offline });
+  console.log(`Transcripts found for ${transcriptCount} of ${episodes.length} episodes`);
+  const chapterCount = await attachChapters(episodes, { force, offline });
+  console.log(`Chapters found for ${chapterCount} of ${episodes.length} episodes`);
+
+  // Guests and topics from the hand-kept overlay
+  const metadata = loadMetadata();
+  if (process.argv.includes('--seed-metadata')) {
+    const seeded = seedMetadata(episodes, metadata, podcastMeta.author);
+    console.log(`Seeded ${seeded} new entries in episode-metadata.json`);
+  }
+  applyMetadata(episodes, metadata);
+
+  const playerArg = process.argv.indexOf('--player');
+  const player = playerArg !== -1 ? process.argv[playerArg + 1] : 'buzzsprout';
+  if (!['buzzsprout', 'native'].includes(player)) {
+    throw new Error(`Unknown --player "${player}" (expected "buzzsprout" or "native")`);
+  }
+
+  // Theme partials from --theme DIR, or theme/ when it exists
+  const themeDir = themeDirectory();
+  if (process.argv.includes('--theme') || fs.existsSync(themeDir)) {
+    const overridden = loadTheme(themeDir);
+    console.log(`\nTheme ${themeDir}: ${overridden.length ? `overriding ${overridden.join(', ')}` : 'no partials found'}`);
+  }
+
+  // Generate pages
+  console.log('\nGenerating HTML pages...');
+  const writer = createPageWriter(cache.pages || {}, { force });
+
+  const siteUrl = resolveSiteUrl();
+  if (!siteUrl) console.log('  No --base-url, siteUrl or CNAME: skipping canonical links, social images stay relative');
+
+  writer.write('index.html', generateHomePage(episodes, podcastMeta, { siteUrl, player }));
+  writer.write('episodes.html', generateEpisodesPage(episodes, { siteUrl }));
+  writer.write('about.html', generateAboutPage(podcastMeta, episodes, { siteUrl }));
+  writer.write('stats.html', generateStatsPage(episodes, { siteUrl }));
+
+  // Self-hosted RSS feed
+  const mirrorArg = process.argv.indexOf('--mirror-base');
+  const mirrorBase = mirrorArg !== -1 ? process.argv[mirrorArg + 1] : '';
+  writer.write('feed.xml', generateFeed(episodes, podcastMeta, { mirrorBase }));
+  writer.write('feed.json', generateJSONFeed(episodes, podcastMeta, { siteUrl, mirrorBase }));
+
+  // Machine-readable exports for other tools
+  for (const [relPath, content] of Object.entries(generateApiFiles(episodes, podcastMeta, { siteUrl, redirects }))) {
+    writer.write(relPath, content);
+  }
+
+  // Full-text search index for episodes.html
+  writer.write('search-index.json', JSON.stringify(buildSearchIndex(episodes)));
+
+  // Share images for links to each episode
+  writeShareCards(episodes, writer, cache, { force, redirects });
+
+  // Individual episode pages, each with its most similar episodes
+  const related = findRelatedEpisodes(episodes);
+  for (const ep of episodes) {
+    writer.write(`episodes/${episodeFilename(ep)}`, generateEpisodePage(ep, episodes, episodes, { player, siteUrl, related: related.get(ep) }));
+  }
+  for (const [slug, ep] of Object.entries(redirects)) {
+    writer.write(`episodes/${slug}.html`, generateRedirectPage(ep, { siteUrl }));
+  }
+
+  // Topic and guest pages
+  const taxonomyPaths = [];
+  for (const kind of Object.keys(TAXONOMIES)) {
+    const terms = collectTaxonomy(episodes, TAXONOMIES[kind].field);
+    if (!Object.keys(terms).length) continue;
+    writer.write(`${kind}/index.html`, generateTaxonomyIndexPage(kind, terms, { siteUrl }));
+    taxonomyPaths.push(`${kind}/index.html`);
+    for (const [slug, term] of Object.entries(terms)) {
+      writer.write(`${kind}/${slug}.html`, generateTaxonomyPage(kind, slug, term, { siteUrl }));
+      taxonomyPaths.push(`${kind}/${slug}.html`);
+    }
+    console.log(`  ${Object.keys(terms).length} ${kind} pages`);
+  }
+
+  // Installable, offline-capable site: the worker goes last so its version covers this build's shell
+  writer.write('offline.html', generateOfflinePage({ siteUrl }));
+  writer.write('manifest.webmanifest', generateManifest());
+  writer.write('sw.js', generateServiceWorker());
+
+  // Sitemap and robots.txt for search engines
+  if (siteUrl) {
+    writer.write('sitemap.xml', generateSitemap(episodes, siteUrl, taxonomyPaths));
+    writer.write('robots.txt', generateRobotsTxt(siteUrl));
+  }
+
+  const { pages, stats } = writer.finish();
+  cache.pages = pages;
+  saveBuildCache(cache);
+
+  console.log(`\nPages: ${stats.added} added, ${stats.changed} changed, ${stats.unchanged} unchanged, ${stats.deleted} deleted`);
+
+  const orphans = findOrphanedPages(pages);
+  if (orphans.length) {
+    console.log(`\n${orphans.length} orphaned page${orphans.length === 1 ? '' : 's'} no episode in the feed produces:`);
+    orphans.forEach(relPath => console.log(`  ${relPath}`));
+    console.log('Delete them, or list them under an episode\'s "previous" in episode-slugs.json to redirect them.');
+  }
+  console.log(`\nBuild complete! ${episodes.length} episode pages generated.`);
+  console.log('Preview it with: node build.js --serve');
+}
+
+function fetchBinary(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https') ? https : http;
+    client.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        return fetchBinary(res.headers.location).then(resolve).catch(reject);
+      }
+      if (res.statusCode !== 200) {
+        return reject(new Error(`HTTP ${res.statusCode}`));
+      }
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--check')) {
+    process.exitCode = checkSite(OUTPUT_DIR) ? 1 : 0;
+  } else if (process.argv.includes('--serve')) {
+    startPreviewServer();
+  } else {
+    build().catch(err => {
+      console.error('Build failed:', err);
+      process.exit(1);
+    });
+  }
+}
+
+// For the tests in test/
+module.exports = {
+  parseXML,
+  parseFeed,
+  mediaFilename,
+  mirrorURL,
+  loadMediaManifest,
+  mirrorMedia,
+  sanitizeShowNotes,
+  boilerplatePatterns,
+  plainText,
+  episodeCardHTML,
+  podcastEpisodeLd,
+  generateSitemap,
+  useSiteConfig,
+  mergeSources,
+  assignSlugs,
+  applyMetadata,
+  apiSchema,
+  schemaErrors,
+  generateApiFiles,
+  generateJSONFeed,
+};
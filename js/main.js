@@ -19,29 +19,1265 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // ─── Reading Modes ──────────────────────────────────────────────────────
+  const readingToggle = document.querySelector('.reading-toggle');
+  const readingPanel = document.getElementById('reading-panel');
+  if (readingToggle && readingPanel) initReadingPanel(readingToggle, readingPanel);
+
   // ─── Episode Search ─────────────────────────────────────────────────────
   const searchInput = document.getElementById('episode-search');
   const grid = document.getElementById('episodes-grid');
   const noResults = document.getElementById('no-results');
+  const resultsList = document.getElementById('search-results');
+  const filterBar = document.getElementById('episode-filters');
 
   if (searchInput && grid) {
     const cards = Array.from(grid.querySelectorAll('.episode-card'));
+    let searchIndex = null;
+    const filters = filterBar ? initEpisodeFilters(filterBar, cards, () => runSearch()) : null;
+    const cardsByUrl = new Map(cards.map(card => [card.querySelector('a')?.getAttribute('href'), card]));
+    const passesFilters = (card) => !filters || !card || filters.matches(card);
 
-    searchInput.addEventListener('input', () => {
-      const query = searchInput.value.toLowerCase().trim();
+    // Substring filter over the cards, used until (or if) the prebuilt index loads
+    const filterCards = (query) => {
       let visibleCount = 0;
-
       cards.forEach(card => {
         const title = card.querySelector('.episode-card-title')?.textContent.toLowerCase() || '';
         const desc = card.querySelector('.episode-card-desc')?.textContent.toLowerCase() || '';
-        const match = !query || title.includes(query) || desc.includes(query);
+        const match = (!query || title.includes(query) || desc.includes(query)) && passesFilters(card);
         card.style.display = match ? '' : 'none';
         if (match) visibleCount++;
       });
+      return visibleCount;
+    };
+
+    const runSearch = () => {
+      const query = searchInput.value.toLowerCase().trim();
+      let visibleCount;
+
+      if (filters) {
+        filters.sort(grid);
+        updateQueryString({ q: searchInput.value.trim(), ...filters.state() });
+      }
+
+      if (searchIndex && resultsList && query) {
+        // Still ranked by relevance; the filters narrow the results but don't reorder them
+        const results = searchEpisodes(searchIndex, query)
+          .filter(result => passesFilters(cardsByUrl.get(searchIndex.docs[result.doc].url)));
+        resultsList.innerHTML = results.map(result => searchResultHTML(result, searchIndex)).join('');
+        resultsList.style.display = results.length ? '' : 'none';
+        grid.style.display = 'none';
+        visibleCount = results.length;
+      } else {
+        if (resultsList) resultsList.style.display = 'none';
+        grid.style.display = '';
+        visibleCount = filterCards(query);
+      }
 
       if (noResults) {
         noResults.style.display = visibleCount === 0 ? '' : 'none';
       }
-    });
+    };
+
+    searchInput.addEventListener('input', runSearch);
+
+    // A shared link, e.g. episodes.html?q=breathing&year=2024&topic=mindset&sort=oldest
+    const params = new URLSearchParams(location.search);
+    if (params.get('q')) searchInput.value = params.get('q');
+    if (filters) filters.restore(params);
+    if (location.search) runSearch();
+
+    if (searchInput.dataset.index && resultsList) {
+      fetch(searchInput.dataset.index)
+        .then(res => (res.ok ? res.json() : null))
+        .then(data => {
+          if (!data) return;
+          searchIndex = prepareSearchIndex(data);
+          if (searchInput.value) runSearch();
+        })
+        .catch(() => {}); // e.g. opened from file:// — keep the card filter
+    }
   }
+
+  // ─── Offline Episodes ───────────────────────────────────────────────────
+  registerServiceWorker();
+  document.querySelectorAll('.offline-save').forEach(initOfflineSave);
+  const offlineList = document.getElementById('offline-episodes');
+  if (offlineList) renderOfflineList(offlineList);
+
+  // ─── Audio Player ───────────────────────────────────────────────────────
+  document.querySelectorAll('.audio-player').forEach(initAudioPlayer);
+
+  // ─── Listening Queue & Progress ──────────────────────────────────────────
+  document.querySelectorAll('.episode-card').forEach(initCardListening);
+  const continueListening = document.getElementById('continue-listening');
+  if (continueListening) initContinueListening(continueListening);
+
+  // ─── Timestamp Links & Shared Moments ────────────────────────────────────
+  // Show-notes timestamps seek the page's player and leave their #t= in the address bar
+  document.querySelectorAll('.timestamp-link').forEach(link => {
+    link.addEventListener('click', (e) => {
+      if (!playMoment({ start: Number(link.dataset.start), end: null })) return;
+      e.preventDefault();
+      history.replaceState(null, '', location.pathname + link.hash);
+    });
+  });
+
+  // A shared link: #t=23:10 or ?start=23:10&end=25:00
+  const sharedMoment = momentFromURL(location);
+  if (sharedMoment) playMoment(sharedMoment);
+  window.addEventListener('hashchange', () => {
+    const moment = momentFromURL(location);
+    if (moment) playMoment(moment);
+  });
+
+  document.querySelectorAll('.share-moment').forEach(initShareMoment);
 });
+
+// ─── Reading Modes ─────────────────────────────────────────────────────────
+// Each mode is a reading-<mode> class on <html>. The inline script build.js
+// puts in every <head> applies the saved ones before the first paint; the
+// panel here changes them.
+
+const READING_MODES = [
+  { mode: 'large-text', label: 'Larger text' },
+  { mode: 'high-contrast', label: 'High contrast' },
+  { mode: 'dyslexic-font', label: 'Dyslexia-friendly font' },
+  { mode: 'reduced-motion', label: 'Reduce motion' },
+  { mode: 'wide-spacing', label: 'Extra line spacing' },
+  { mode: 'simple-layout', label: 'Simplified layout' },
+];
+
+function prefersReducedMotion() {
+  return document.documentElement.classList.contains('reading-reduced-motion') ||
+    (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+function applyReadingModes(modes) {
+  READING_MODES.forEach(({ mode }) => {
+    document.documentElement.classList.toggle(`reading-${mode}`, modes.includes(mode));
+  });
+}
+
+function initReadingPanel(toggle, panel) {
+  panel.innerHTML = `<fieldset class="reading-options">
+    <legend>Reading settings</legend>
+    ${READING_MODES.map(({ mode, label }) => `<label class="reading-option"><input type="checkbox" value="${mode}"> ${label}</label>`).join('\n    ')}
+    <button type="button" class="reading-reset">Reset</button>
+  </fieldset>`;
+  const boxes = Array.from(panel.querySelectorAll('input[type="checkbox"]'));
+  const saved = storage.get('ss-reading');
+  const modes = Array.isArray(saved) ? saved : [];
+  boxes.forEach(box => { box.checked = modes.includes(box.value); });
+
+  const update = () => {
+    const chosen = boxes.filter(box => box.checked).map(box => box.value);
+    applyReadingModes(chosen);
+    if (chosen.length) storage.set('ss-reading', chosen);
+    else storage.remove('ss-reading');
+  };
+  boxes.forEach(box => box.addEventListener('change', update));
+  panel.querySelector('.reading-reset').addEventListener('click', () => {
+    boxes.forEach(box => { box.checked = false; });
+    update();
+  });
+
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', open);
+  };
+  toggle.addEventListener('click', () => setOpen(panel.hidden));
+  panel.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    setOpen(false);
+    toggle.focus();
+  });
+  document.addEventListener('click', (e) => {
+    if (!panel.hidden && !panel.contains(e.target) && !toggle.contains(e.target)) setOpen(false);
+  });
+  toggle.hidden = false;
+}
+
+// ─── Search Index Queries ──────────────────────────────────────────────────
+// Tokenizing and stemming must stay in step with buildSearchIndex in build.js.
+
+const SEARCH_STOPWORDS = new Set(('a an and are as at be but by for from has have how i if in into is it its ' +
+  'me my not of on or our so that the their them then there these they this to was we what when where which ' +
+  'who why will with you your').split(' '));
+
+function stemWord(word) {
+  if (word.length <= 4 || /\d/.test(word)) return word;
+  let stem = word;
+  if (stem.endsWith('ies')) {
+    stem = stem.slice(0, -3) + 'y';
+  } else {
+    for (const suffix of ['ingly', 'edly', 'ing', 'ness', 'ment', 'ed', 'ly', 's']) {
+      if (!stem.endsWith(suffix) || stem.length - suffix.length < 3) continue;
+      if (suffix === 's' && /[su]s$|is$/.test(stem)) break;
+      stem = stem.slice(0, -suffix.length);
+      break;
+    }
+  }
+  if (/([^aeiouslz])\1$/.test(stem)) stem = stem.slice(0, -1);
+  if (stem.length > 3 && stem.endsWith('e')) stem = stem.slice(0, -1);
+  return stem;
+}
+
+function searchTokens(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !SEARCH_STOPWORDS.has(word))
+    .map(stemWord);
+}
+
+function prepareSearchIndex(data) {
+  return { docs: data.docs, terms: data.terms, vocabulary: Object.keys(data.terms) };
+}
+
+// Levenshtein distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Index terms a query token matches: exact, then as a prefix, then within a typo or two
+function matchTerms(index, token) {
+  const matches = [];
+  for (const term of index.vocabulary) {
+    if (term === token) matches.push([term, 1]);
+    else if (token.length > 1 && term.startsWith(token)) matches.push([term, 0.7]);
+  }
+  if (matches.length || token.length < 4) return matches;
+  const maxTypos = token.length >= 8 ? 2 : 1;
+  for (const term of index.vocabulary) {
+    if (editDistance(token, term, maxTypos) <= maxTypos) matches.push([term, 0.4]);
+  }
+  return matches;
+}
+
+// Ranked results: episodes matching more of the query first, then by weighted tf-idf
+function searchEpisodes(index, query) {
+  const tokens = Array.from(new Set(searchTokens(query)));
+  const scores = new Map();
+  const docCount = index.docs.length;
+
+  tokens.forEach(token => {
+    const tokenScores = new Map();
+    for (const [term, factor] of matchTerms(index, token)) {
+      const postings = index.terms[term];
+      const idf = Math.log(1 + docCount / (postings.length / 2));
+      for (let i = 0; i < postings.length; i += 2) {
+        const hit = tokenScores.get(postings[i]) || { score: 0, terms: [] };
+        hit.score = Math.max(hit.score, factor * postings[i + 1] * idf);
+        hit.terms.push(term);
+        tokenScores.set(postings[i], hit);
+      }
+    }
+    tokenScores.forEach((hit, doc) => {
+      const entry = scores.get(doc) || { doc, matched: 0, score: 0, terms: [] };
+      entry.matched++;
+      entry.score += hit.score;
+      entry.terms.push(...hit.terms);
+      scores.set(doc, entry);
+    });
+  });
+
+  return Array.from(scores.values()).sort((a, b) => b.matched - a.matched || b.score - a.score);
+}
+
+function escapeHTML(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Escape text and wrap words starting with any of the matched index stems in <mark>
+function highlight(text, stems) {
+  if (!stems.length) return escapeHTML(text);
+  const pattern = new RegExp(`\\b(${Array.from(new Set(stems)).join('|')})[a-z0-9’']*`, 'gi');
+  let html = '';
+  let last = 0;
+  text.replace(pattern, (match, _stem, offset) => {
+    html += escapeHTML(text.slice(last, offset)) + `<mark>${escapeHTML(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  return html + escapeHTML(text.slice(last));
+}
+
+// A window of the show notes around the first match
+function snippet(text, stems, radius = 90) {
+  const pattern = stems.length ? new RegExp(`\\b(${stems.join('|')})`, 'i') : null;
+  const match = pattern ? pattern.exec(text) : null;
+  const at = match ? match.index : 0;
+  const start = Math.max(0, at - radius);
+  const end = Math.min(text.length, at + radius * 2);
+  const excerpt = text.slice(start, end).replace(/^\S*\s/, start ? '' : '$&').replace(/\s\S*$/, end < text.length ? '' : '$&');
+  return `${start ? '… ' : ''}${highlight(excerpt, stems)}${end < text.length ? ' …' : ''}`;
+}
+
+function searchResultHTML(result, index) {
+  const doc = index.docs[result.doc];
+  return `
+    <li class="search-result">
+      <a href="${escapeHTML(doc.url)}" class="search-result-title">${highlight(doc.title, result.terms)}</a>
+      <time class="episode-date">${escapeHTML(doc.date)}</time>
+      <p class="search-result-snippet">${snippet(doc.text, result.terms)}</p>
+    </li>`;
+}
+
+// ─── Episode Filters & Sorting ─────────────────────────────────────────────
+// Built from the data-* attributes episodeCardHTML writes onto each card.
+
+const DURATION_RANGES = [
+  { value: 'short', label: 'Under 20 min', min: 0, max: 20 * 60 },
+  { value: 'medium', label: '20–40 min', min: 20 * 60, max: 40 * 60 },
+  { value: 'long', label: '40–60 min', min: 40 * 60, max: 60 * 60 },
+  { value: 'extra', label: 'Over an hour', min: 60 * 60, max: Infinity },
+];
+
+const SORT_ORDERS = {
+  newest: (a, b) => b.date.localeCompare(a.date),
+  oldest: (a, b) => a.date.localeCompare(b.date),
+  longest: (a, b) => b.seconds - a.seconds,
+};
+
+function cardFacets(card) {
+  const topics = {};
+  card.querySelectorAll('.tag[href*="topics/"]').forEach(link => {
+    topics[link.getAttribute('href').replace(/^.*topics\/|\.html$/g, '')] = link.textContent.trim();
+  });
+  return {
+    card,
+    date: card.dataset.date || '',
+    year: (card.dataset.date || '').slice(0, 4),
+    season: card.dataset.season || '',
+    seconds: Number(card.dataset.seconds) || 0,
+    tags: (card.dataset.tags || '').split(' ').filter(Boolean),
+    topics,
+  };
+}
+
+function filterSelect(name, label, options) {
+  return `
+    <label class="episode-filter">
+      <span>${escapeHTML(label)}</span>
+      <select name="${name}">
+        ${options.map(([value, text]) => `<option value="${escapeHTML(value)}">${escapeHTML(text)}</option>`).join('')}
+      </select>
+    </label>`;
+}
+
+// Renders the filter controls into `container`; onChange fires whenever one of them changes
+function initEpisodeFilters(container, cards, onChange) {
+  const facets = cards.map(cardFacets);
+  const unique = (values) => Array.from(new Set(values.filter(Boolean)));
+
+  const seasons = unique(facets.map(f => f.season)).sort((a, b) => a - b);
+  const years = unique(facets.map(f => f.year)).sort().reverse();
+  const topics = {};
+  facets.forEach(f => Object.assign(topics, f.topics));
+  const topicSlugs = Object.keys(topics).sort((a, b) => topics[a].localeCompare(topics[b]));
+
+  container.innerHTML = [
+    seasons.length > 1 ? filterSelect('season', 'Season', [['', 'All seasons'], ...seasons.map(s => [s, `Season ${s}`])]) : '',
+    filterSelect('year', 'Year', [['', 'All years'], ...years.map(y => [y, y])]),
+    filterSelect('length', 'Length', [['', 'Any length'], ...DURATION_RANGES.map(r => [r.value, r.label])]),
+    topicSlugs.length ? filterSelect('topic', 'Topic', [['', 'All topics'], ...topicSlugs.map(slug => [slug, topics[slug]])]) : '',
+    filterSelect('sort', 'Sort by', [['newest', 'Newest'], ['oldest', 'Oldest'], ['longest', 'Longest']]),
+  ].join('');
+
+  const selects = Array.from(container.querySelectorAll('select'));
+  selects.forEach(select => select.addEventListener('change', onChange));
+
+  const state = () => {
+    const values = {};
+    selects.forEach(select => { values[select.name] = select.value; });
+    return values;
+  };
+
+  return {
+    state,
+
+    // Restore from a query string; unknown values fall back to the first option
+    restore(params) {
+      selects.forEach(select => {
+        const value = params.get(select.name);
+        select.value = value || '';
+        if (select.selectedIndex === -1) select.selectedIndex = 0;
+      });
+    },
+
+    matches(card) {
+      const { season, year, length, topic } = state();
+      const f = facets.find(facet => facet.card === card);
+      const range = DURATION_RANGES.find(r => r.value === length);
+      return (!season || f.season === season)
+        && (!year || f.year === year)
+        && (!range || (f.seconds > 0 && f.seconds >= range.min && f.seconds < range.max))
+        && (!topic || f.tags.includes(topic));
+    },
+
+    // Reorders the cards inside their grid
+    sort(grid) {
+      const compare = SORT_ORDERS[state().sort] || SORT_ORDERS.newest;
+      facets.slice().sort(compare).forEach(f => grid.appendChild(f.card));
+    },
+  };
+}
+
+// Keeps the current search and filters in the address bar so a filtered view can be shared
+function updateQueryString(values) {
+  const params = new URLSearchParams();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value && !(key === 'sort' && value === 'newest')) params.set(key, value);
+  });
+  const query = params.toString();
+  history.replaceState(null, '', query ? `?${query}` : location.pathname);
+}
+
+// ─── Audio Player ──────────────────────────────────────────────────────────
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// localStorage can throw (private browsing, storage disabled); treat that as "nothing saved"
+const storage = {
+  get(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (err) {
+      return null;
+    }
+  },
+  set(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+      // Not persisted; playback still works
+    }
+  },
+  remove(key) {
+    try {
+      localStorage.removeItem(key);
+    } catch (err) {
+      // Nothing to clean up
+    }
+  },
+};
+
+function formatTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// "1 hour 2 minutes 5 seconds", for screen readers
+function spokenTime(seconds) {
+  const s = Math.max(0, Math.floor(seconds || 0));
+  const parts = [[Math.floor(s / 3600), 'hour'], [Math.floor((s % 3600) / 60), 'minute'], [s % 60, 'second']]
+    .filter(([n], i) => n > 0 || (i === 2 && s === 0))
+    .map(([n, unit]) => `${n} ${unit}${n === 1 ? '' : 's'}`);
+  return parts.join(' ');
+}
+
+function playerButton(className, label, text) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `player-btn ${className}`;
+  button.setAttribute('aria-label', label);
+  button.textContent = text;
+  return button;
+}
+
+/**
+ * Replace the native controls of .audio-player's <audio> with our own:
+ * play/pause, ±15/±30s skips, a labelled seek slider, 0.5x–2x speeds and
+ * chapter links, recording the listener's progress through the episode.
+ */
+function initAudioPlayer(container) {
+  const audio = container.querySelector('audio');
+  if (!audio) return;
+  const id = container.dataset.episode || audio.currentSrc || audio.src;
+  const episode = pageEpisode(audio);
+  const chapterLinks = Array.from(container.querySelectorAll('.chapter-link'));
+
+  audio.controls = false;
+  const controls = document.createElement('div');
+  controls.className = 'player-controls';
+  controls.setAttribute('role', 'group');
+  controls.setAttribute('aria-label', 'Audio player');
+
+  const playButton = playerButton('player-play', 'Play', '▶');
+  const back30 = playerButton('player-skip', 'Back 30 seconds', '-30');
+  const back15 = playerButton('player-skip', 'Back 15 seconds', '-15');
+  const forward15 = playerButton('player-skip', 'Forward 15 seconds', '+15');
+  const forward30 = playerButton('player-skip', 'Forward 30 seconds', '+30');
+
+  const seek = document.createElement('input');
+  seek.type = 'range';
+  seek.className = 'player-seek';
+  seek.min = 0;
+  seek.max = 0;
+  seek.step = 1;
+  seek.value = 0;
+  seek.setAttribute('aria-label', 'Seek');
+
+  const time = document.createElement('span');
+  time.className = 'player-time';
+  time.setAttribute('aria-hidden', 'true');
+  time.textContent = '0:00 / 0:00';
+
+  const speedLabel = document.createElement('label');
+  speedLabel.className = 'player-speed';
+  speedLabel.textContent = 'Speed ';
+  const speed = document.createElement('select');
+  PLAYBACK_RATES.forEach(rate => speed.add(new Option(`${rate}x`, rate)));
+  speedLabel.appendChild(speed);
+
+  const status = document.createElement('p');
+  status.className = 'player-status';
+  status.setAttribute('role', 'status');
+
+  controls.append(playButton, back30, back15, seek, forward15, forward30, time, speedLabel);
+  audio.after(controls, status);
+
+  const savedRate = storage.get('ss-playback-rate');
+  audio.playbackRate = PLAYBACK_RATES.includes(savedRate) ? savedRate : 1;
+  speed.value = audio.playbackRate;
+
+  const skip = (seconds) => {
+    audio.currentTime = Math.min(Math.max(0, audio.currentTime + seconds), audio.duration || Infinity);
+  };
+  // play() rejects when the browser blocks it or the audio won't load; put the
+  // button back to Play and say what to do instead of failing silently
+  const play = (message) => audio.play().catch(() => {
+    updatePlayState();
+    status.textContent = message;
+  });
+  const seekTo = (seconds, andPlay = true) => {
+    audio.currentTime = seconds;
+    if (andPlay) play(`Press play to listen from ${formatTime(seconds)}.`);
+  };
+  container.seekTo = seekTo;
+
+  // A shared moment plays from `start`, pausing at `end` if it has one
+  let clip = null;
+  container.playRange = (start, end = null) => {
+    clip = { start, end };
+    status.textContent = end
+      ? `Playing the shared clip, ${formatTime(start)} to ${formatTime(end)}.`
+      : `Playing from ${formatTime(start)}.`;
+    audio.currentTime = start;
+    play(`Press play to listen from ${formatTime(start)}${end ? ` to ${formatTime(end)}` : ''}.`);
+  };
+  audio.addEventListener('seeking', () => {
+    if (clip && (audio.currentTime < clip.start - 1 || (clip.end && audio.currentTime > clip.end))) {
+      clip = null;
+      status.textContent = '';
+    }
+  });
+
+  const savePosition = (position) => {
+    updateListening(id, { ...episode, position, duration: Math.floor(audio.duration || 0), played: false });
+  };
+
+  // Positions saved on their own, before the queue existed
+  const legacyKey = `ss-position:${id}`;
+  const legacy = storage.get(legacyKey);
+  if (typeof legacy === 'number' && !(loadListening().episodes[id] || {}).position) updateListening(id, { ...episode, position: legacy });
+  storage.remove(legacyKey);
+
+  playButton.addEventListener('click', () => (audio.paused ? play('The episode couldn’t start playing. Check your connection and press play again.') : audio.pause()));
+  back30.addEventListener('click', () => skip(-30));
+  back15.addEventListener('click', () => skip(-15));
+  forward15.addEventListener('click', () => skip(15));
+  forward30.addEventListener('click', () => skip(30));
+  seek.addEventListener('input', () => { audio.currentTime = Number(seek.value); });
+  speed.addEventListener('change', () => {
+    audio.playbackRate = Number(speed.value);
+    storage.set('ss-playback-rate', audio.playbackRate);
+  });
+
+  chapterLinks.forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      seekTo(Number(link.dataset.start));
+    });
+  });
+
+  // Keyboard shortcuts while focus is inside the player (k/space play, j/l skip 15s)
+  container.addEventListener('keydown', (e) => {
+    if (e.target.tagName === 'SELECT' || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (e.key === 'k' || (e.key === ' ' && e.target === seek)) {
+      e.preventDefault();
+      playButton.click();
+    } else if (e.key === 'j') {
+      skip(-15);
+    } else if (e.key === 'l') {
+      skip(15);
+    }
+  });
+
+  const updatePlayState = () => {
+    playButton.textContent = audio.paused ? '▶' : '❚❚';
+    playButton.setAttribute('aria-label', audio.paused ? 'Play' : 'Pause');
+  };
+
+  let lastSaved = 0;
+  const updateTime = () => {
+    const current = audio.currentTime;
+    const duration = audio.duration || 0;
+    seek.max = Math.floor(duration);
+    seek.value = Math.floor(current);
+    seek.setAttribute('aria-valuetext', `${spokenTime(current)} of ${spokenTime(duration)}`);
+    time.textContent = `${formatTime(current)} / ${formatTime(duration)}`;
+
+    let active = null;
+    chapterLinks.forEach(link => {
+      if (Number(link.dataset.start) <= current) active = link;
+    });
+    chapterLinks.forEach(link => {
+      if (link === active) link.setAttribute('aria-current', 'true');
+      else link.removeAttribute('aria-current');
+    });
+
+    if (Math.abs(current - lastSaved) >= 5) {
+      lastSaved = current;
+      savePosition(Math.floor(current));
+    }
+
+    if (clip && clip.end && current >= clip.end) {
+      clip = null;
+      audio.pause();
+      status.textContent = 'That’s the end of the shared clip. Press play to keep listening.';
+    }
+  };
+
+  audio.addEventListener('play', updatePlayState);
+  audio.addEventListener('pause', () => {
+    updatePlayState();
+    if (!audio.ended && audio.currentTime > 0) savePosition(Math.floor(audio.currentTime));
+  });
+  audio.addEventListener('timeupdate', updateTime);
+  audio.addEventListener('durationchange', updateTime);
+  audio.addEventListener('ended', () => {
+    setPlayed(id, episode, true);
+    updatePlayState();
+  });
+
+  // Offer to resume where the listener left off, unless that was the very start or end
+  // or they came for a shared moment
+  audio.addEventListener('loadedmetadata', () => {
+    if (clip) return;
+    const entry = loadListening().episodes[id];
+    const saved = entry && !entry.played ? entry.position : null;
+    if (typeof saved !== 'number' || saved < 5 || saved > audio.duration - 10) return;
+    audio.currentTime = saved;
+    lastSaved = saved;
+    status.textContent = `Resuming from ${formatTime(saved)}. `;
+    const restart = document.createElement('button');
+    restart.type = 'button';
+    restart.className = 'player-restart';
+    restart.textContent = 'Start from the beginning';
+    restart.addEventListener('click', () => {
+      audio.currentTime = 0;
+      lastSaved = 0;
+      updateListening(id, { position: 0 });
+      status.textContent = '';
+    });
+    status.appendChild(restart);
+  }, { once: true });
+}
+
+// The built-in player on the audio behind a Buzzsprout embed, which can't be
+// seeked or played offline; build.js gives the embed its data-* attributes.
+function embedAudioPlayer(embed) {
+  const player = document.createElement('div');
+  player.className = 'audio-player';
+  player.dataset.episode = embed.dataset.episode;
+  const audio = document.createElement('audio');
+  audio.controls = true;
+  audio.preload = 'metadata';
+  audio.className = 'episode-audio';
+  audio.src = new URL(embed.dataset.audio, location.href).href;
+  audio.setAttribute('aria-label', embed.dataset.title);
+  player.appendChild(audio);
+  embed.replaceWith(player);
+  return player;
+}
+
+// ─── Listening Queue & Progress ────────────────────────────────────────────
+// One ss-listening record per device: { queue: [id], episodes: { id: entry } },
+// where an entry is { page, title, image, position, duration, played, updated }
+// and ids are the data-episode keys build.js writes (listeningKey). Pages and
+// images are kept relative to the site root, so an exported file imports into
+// any copy of the site. Positions come from the built-in player only: sites
+// built with the (cross-origin) Buzzsprout embed get the queue and "Played",
+// plus progress for episodes played through a swapped-in player (a #t= link,
+// or offline).
+
+const LISTENING_KEY = 'ss-listening';
+const LISTENING_FORMAT = 'survivor-science-listening';
+
+function loadListening() {
+  const data = storage.get(LISTENING_KEY) || {};
+  return {
+    queue: Array.isArray(data.queue) ? data.queue : [],
+    episodes: data.episodes && typeof data.episodes === 'object' ? data.episodes : {},
+  };
+}
+
+function saveListening(data) {
+  storage.set(LISTENING_KEY, data);
+  document.dispatchEvent(new CustomEvent('ss-listening-change'));
+}
+
+// Runs `callback` whenever the queue or progress changes, on this page or in another tab
+function onListeningChange(callback) {
+  document.addEventListener('ss-listening-change', callback);
+  window.addEventListener('storage', (e) => {
+    if (e.key === LISTENING_KEY || e.key === null) callback();
+  });
+}
+
+function updateListening(id, changes) {
+  const data = loadListening();
+  data.episodes[id] = { ...data.episodes[id], ...changes, updated: Date.now() };
+  saveListening(data);
+}
+
+function toggleQueued(id, episode) {
+  const data = loadListening();
+  if (data.queue.includes(id)) {
+    data.queue = data.queue.filter(queued => queued !== id);
+  } else {
+    data.queue.push(id);
+    data.episodes[id] = { ...data.episodes[id], ...episode, updated: Date.now() };
+  }
+  saveListening(data);
+}
+
+// Played episodes leave the queue; either way the next listen starts from the top
+function setPlayed(id, episode, played) {
+  const data = loadListening();
+  data.episodes[id] = { ...data.episodes[id], ...episode, position: 0, played, updated: Date.now() };
+  if (played) data.queue = data.queue.filter(queued => queued !== id);
+  saveListening(data);
+}
+
+function sitePath(url) {
+  const absolute = new URL(url, location.href).href;
+  return SITE_ROOT && absolute.startsWith(SITE_ROOT.href) ? absolute.slice(SITE_ROOT.href.length) : absolute;
+}
+
+function siteURL(pathOrURL) {
+  return new URL(pathOrURL, SITE_ROOT || location.href).href;
+}
+
+// The page, title and artwork of the episode page a player is on
+function pageEpisode(audio) {
+  const artwork = document.querySelector('.episode-artwork-large img');
+  return {
+    page: sitePath(location.href.split(/[?#]/)[0]),
+    title: audio.getAttribute('aria-label') || document.title,
+    image: artwork ? sitePath(artwork.src) : '',
+  };
+}
+
+// How far through an episode the listener is (0–1), or null if they haven't started it
+function episodeProgress(entry, seconds) {
+  if (!entry) return null;
+  if (entry.played) return 1;
+  const duration = entry.duration || seconds;
+  return entry.position > 0 && duration > 0 ? Math.min(entry.position / duration, 1) : null;
+}
+
+function progressLabel(entry, seconds) {
+  if (entry.played) return 'Played';
+  const left = (entry.duration || seconds) - entry.position;
+  return left > 0 ? `${Math.ceil(left / 60)} min left` : `Stopped at ${formatTime(entry.position)}`;
+}
+
+function progressHTML(entry, seconds) {
+  const percent = Math.round(episodeProgress(entry, seconds) * 100);
+  const label = progressLabel(entry, seconds);
+  return `<span class="listening-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${percent}" aria-valuetext="${escapeHTML(label)}"><span style="width: ${percent}%"></span></span>
+    <span class="listening-label">${escapeHTML(label)}</span>`;
+}
+
+function listeningButton(className, label) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `listening-toggle ${className}`;
+  button.setAttribute('aria-label', label);
+  return button;
+}
+
+/**
+ * Give an .episode-card "Queue" and "Played" toggles and, once the episode
+ * has been started, a progress bar, kept in step with ss-listening.
+ */
+function initCardListening(card) {
+  const id = card.dataset.episode;
+  const link = card.querySelector('.episode-card-title a');
+  if (!id || !link) return;
+  const image = card.querySelector('.episode-card-image img');
+  const title = link.textContent.trim();
+  const seconds = Number(card.dataset.seconds) || 0;
+  const episode = { page: sitePath(link.href), title, image: image ? sitePath(image.src) : '' };
+
+  const controls = document.createElement('div');
+  controls.className = 'card-listening';
+  const progress = document.createElement('div');
+  progress.className = 'card-progress';
+  const queueButton = listeningButton('listening-queue', `Queue ${title}`);
+  queueButton.textContent = 'Queue';
+  const playedButton = listeningButton('listening-played', `Played ${title}`);
+  playedButton.textContent = 'Played';
+  controls.append(queueButton, playedButton);
+
+  const render = () => {
+    const data = loadListening();
+    const entry = data.episodes[id];
+    const started = episodeProgress(entry, seconds) !== null;
+    progress.innerHTML = started ? progressHTML(entry, seconds) : '';
+    progress.hidden = !started;
+    queueButton.setAttribute('aria-pressed', data.queue.includes(id));
+    playedButton.setAttribute('aria-pressed', Boolean(entry && entry.played));
+    card.classList.toggle('is-played', Boolean(entry && entry.played));
+  };
+
+  queueButton.addEventListener('click', () => toggleQueued(id, episode));
+  playedButton.addEventListener('click', () => {
+    const entry = loadListening().episodes[id];
+    setPlayed(id, episode, !(entry && entry.played));
+  });
+
+  card.querySelector('.episode-listen-link').before(progress, controls);
+  render();
+  onListeningChange(render);
+}
+
+// Episodes in progress, most recently played first, then the rest of the queue
+function continueListeningIds(data) {
+  const started = Object.keys(data.episodes)
+    .filter(id => !data.episodes[id].played && data.episodes[id].position > 0)
+    .sort((a, b) => (data.episodes[b].updated || 0) - (data.episodes[a].updated || 0));
+  const queued = data.queue.filter(id => !started.includes(id));
+  return [...started, ...queued].filter(id => data.episodes[id] && data.episodes[id].page);
+}
+
+function continueItemHTML(id, entry) {
+  const started = episodeProgress(entry, 0) !== null;
+  return `<li class="continue-item">
+    <a href="${escapeHTML(siteURL(entry.page))}" class="continue-link">
+      <img src="${escapeHTML(entry.image ? siteURL(entry.image) : siteURL('images/podcast-artwork.jpg'))}" alt="" loading="lazy">
+      <span class="continue-title">${escapeHTML(entry.title)}</span>
+    </a>
+    ${started ? progressHTML(entry, 0) : '<span class="listening-label">In your queue</span>'}
+    <button type="button" class="continue-remove" data-episode="${escapeHTML(id)}" aria-label="Remove ${escapeHTML(entry.title)}">&times;</button>
+  </li>`;
+}
+
+// Pages and artwork must stay on the site or on the web; an imported file can't smuggle in script URLs
+function safeSiteURL(value) {
+  return typeof value === 'string' && (/^https?:\/\//i.test(value) || !/^[a-z][a-z\d+.-]*:|^\/\//i.test(value));
+}
+
+function importedEntry(entry) {
+  if (!entry || typeof entry !== 'object' || !safeSiteURL(entry.page) || typeof entry.title !== 'string') return null;
+  const number = value => (Number.isFinite(value) && value >= 0 ? Math.floor(value) : 0);
+  return {
+    page: entry.page,
+    title: entry.title,
+    image: safeSiteURL(entry.image) ? entry.image : '',
+    position: number(entry.position),
+    duration: number(entry.duration),
+    played: entry.played === true,
+    updated: number(entry.updated),
+  };
+}
+
+/**
+ * Merge an exported file into this device's queue and progress. Each episode
+ * keeps whichever copy was updated last; queued episodes missing here join the
+ * end of the queue. Resolves to the number of episodes that changed.
+ */
+function importListening(file) {
+  return file.text().then((text) => {
+    let incoming;
+    try {
+      incoming = JSON.parse(text);
+    } catch (err) {
+      throw new Error('That file isn’t valid JSON.');
+    }
+    if (!incoming || incoming.format !== LISTENING_FORMAT || !incoming.episodes || typeof incoming.episodes !== 'object') {
+      throw new Error('That file isn’t a listening progress export from this site.');
+    }
+
+    const data = loadListening();
+    let changed = 0;
+    Object.entries(incoming.episodes).forEach(([id, value]) => {
+      const entry = importedEntry(value);
+      if (!entry || (data.episodes[id] && (data.episodes[id].updated || 0) >= entry.updated)) return;
+      data.episodes[id] = entry;
+      changed++;
+    });
+    (Array.isArray(incoming.queue) ? incoming.queue : []).forEach((id) => {
+      if (data.episodes[id] && !data.episodes[id].played && !data.queue.includes(id)) data.queue.push(id);
+    });
+    saveListening(data);
+    return changed;
+  });
+}
+
+function exportListening() {
+  const exported = new Date().toISOString();
+  const data = { format: LISTENING_FORMAT, version: 1, exported, ...loadListening() };
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  link.download = `survivor-science-listening-${exported.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// The home page's "Continue Listening" row, with export and import for moving devices
+function initContinueListening(section) {
+  const list = section.querySelector('.continue-list');
+  const empty = section.querySelector('.continue-empty');
+  const status = section.querySelector('.listening-status');
+  const fileInput = section.querySelector('.listening-import input');
+
+  const render = () => {
+    const data = loadListening();
+    const ids = continueListeningIds(data);
+    list.innerHTML = ids.map(id => continueItemHTML(id, data.episodes[id])).join('');
+    list.hidden = !ids.length;
+    empty.hidden = ids.length > 0;
+  };
+
+  list.addEventListener('click', (e) => {
+    const button = e.target.closest('.continue-remove');
+    if (!button) return;
+    const data = loadListening();
+    const id = button.dataset.episode;
+    data.queue = data.queue.filter(queued => queued !== id);
+    if (data.episodes[id]) data.episodes[id] = { ...data.episodes[id], position: 0, updated: Date.now() };
+    saveListening(data);
+  });
+
+  section.querySelector('.listening-export').addEventListener('click', () => {
+    exportListening();
+    status.textContent = 'Progress exported. Import the file on your other device.';
+  });
+
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    importListening(file)
+      .then((changed) => {
+        status.textContent = changed
+          ? `Imported progress for ${changed} episode${changed === 1 ? '' : 's'}.`
+          : 'This device is already up to date with that file.';
+      })
+      .catch((err) => {
+        status.textContent = err.message;
+      })
+      .finally(() => {
+        fileInput.value = '';
+      });
+  });
+
+  render();
+  onListeningChange(render);
+  section.hidden = false;
+}
+
+// ─── Offline Episodes ──────────────────────────────────────────────────────
+// sw.js (generated by build.js) precaches the site shell. "Available offline"
+// puts an episode page and its audio in OFFLINE_CACHE, which the worker serves
+// from and never clears; ss-offline lists them for offline.html.
+
+const OFFLINE_CACHE = 'ss-episodes'; // must match OFFLINE_CACHE in build.js
+const SITE_ROOT = document.currentScript ? new URL('..', document.currentScript.src) : null;
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !SITE_ROOT || !/^https?:$/.test(location.protocol)) return;
+  navigator.serviceWorker.register(new URL('sw.js', SITE_ROOT).href).catch(() => {}); // still works online
+}
+
+function savedEpisodes() {
+  return storage.get('ss-offline') || [];
+}
+
+// Cross-origin audio with CORS when the host allows it, as an opaque response otherwise
+function fetchForCache(url) {
+  return fetch(url, { mode: 'cors' })
+    .catch(() => fetch(url, { mode: 'no-cors' }))
+    .then(res => (res.ok || res.type === 'opaque' ? res : Promise.reject(new Error(`HTTP ${res.status}`))));
+}
+
+function removeEpisodeOffline(episode) {
+  return caches.open(OFFLINE_CACHE)
+    .then(cache => Promise.all([cache.delete(episode.page), episode.audio && cache.delete(episode.audio)]))
+    .then(() => storage.set('ss-offline', savedEpisodes().filter(saved => saved.page !== episode.page)));
+}
+
+function saveEpisodeOffline(episode) {
+  return caches.open(OFFLINE_CACHE)
+    .then(cache => Promise.all([episode.page, episode.audio].filter(Boolean)
+      .map(url => fetchForCache(url).then(res => cache.put(url, res)))))
+    .then(() => {
+      storage.set('ss-offline', [...savedEpisodes().filter(saved => saved.page !== episode.page), episode]);
+      // Ask the browser not to evict it under storage pressure
+      if (navigator.storage && navigator.storage.persist) navigator.storage.persist();
+    })
+    .catch(err => removeEpisodeOffline(episode).then(() => Promise.reject(err)));
+}
+
+/**
+ * Turn an episode page's .offline-save placeholder into an "Available offline"
+ * toggle. Offline, a saved episode's Buzzsprout embed (which can't load) is
+ * swapped for an .audio-player on the saved audio.
+ */
+function initOfflineSave(container) {
+  if (!('caches' in window) || !('serviceWorker' in navigator)) return;
+  const episode = {
+    page: location.origin + location.pathname,
+    audio: new URL(container.dataset.audio, location.href).href,
+    title: container.dataset.title || document.title,
+  };
+  const isSaved = () => savedEpisodes().some(saved => saved.page === episode.page);
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'offline-toggle';
+  button.textContent = 'Available offline';
+  button.setAttribute('aria-pressed', isSaved());
+  const status = document.createElement('span');
+  status.className = 'offline-status';
+  status.setAttribute('role', 'status');
+
+  button.addEventListener('click', () => {
+    const saved = isSaved();
+    button.disabled = true;
+    status.textContent = saved ? 'Removing…' : 'Saving the episode and its audio…';
+    (saved ? removeEpisodeOffline(episode) : saveEpisodeOffline(episode))
+      .then(() => {
+        status.textContent = saved ? 'Removed from this device.' : 'Saved. This episode will play without a connection.';
+      })
+      .catch(() => {
+        status.textContent = saved ? 'Could not remove this episode.' : 'Could not save this episode. Check your connection and free space.';
+      })
+      .finally(() => {
+        button.disabled = false;
+        button.setAttribute('aria-pressed', isSaved());
+      });
+  });
+
+  container.append(button, status);
+  container.hidden = false;
+
+  const embed = document.querySelector('.buzzsprout-player[data-audio]');
+  if (embed && !navigator.onLine && isSaved()) embedAudioPlayer(embed);
+}
+
+function renderOfflineList(list) {
+  const saved = savedEpisodes();
+  if (!saved.length) return;
+  list.innerHTML = saved
+    .map(episode => `<li><a href="${escapeHTML(episode.page)}">${escapeHTML(episode.title)}</a></li>`)
+    .join('');
+}
+
+// ─── Timestamp Links & Shared Moments ──────────────────────────────────────
+// An episode page URL can point at a moment, #t=23:10, or a clip,
+// ?start=23:10&end=25:00 (#t=23:10,25:00 works too, as a media fragment).
+// Pages with the Buzzsprout embed switch to the built-in player to seek.
+
+// "23:10", "1:02:03", "1390", "1390s" or "1h2m3s" -> seconds; NaN for anything else
+function parseTime(text) {
+  const value = String(text || '').trim();
+  const clock = value.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) return Number(clock[3]) < 60 ? (Number(clock[1] || 0) * 3600) + (Number(clock[2]) * 60) + Number(clock[3]) : NaN;
+  const units = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s?)?$/i);
+  if (units && value) return (Number(units[1] || 0) * 3600) + (Number(units[2] || 0) * 60) + Number(units[3] || 0);
+  return NaN;
+}
+
+// The { start, end } a URL points at, or null; `end` is null for a single moment
+function momentFromURL(url) {
+  const params = new URLSearchParams(url.search);
+  const fragment = url.hash.match(/^#t=([^&]*)/);
+  let times = [];
+  if (params.has('start')) times = [params.get('start'), params.get('end')];
+  else if (fragment) times = decodeURIComponent(fragment[1]).replace(/^npt:/, '').split(',');
+  const start = parseTime(times[0]);
+  if (!(start >= 0)) return null;
+  const end = parseTime(times[1]);
+  return { start, end: end > start ? end : null };
+}
+
+function momentLink(start, end) {
+  const canonical = document.querySelector('link[rel="canonical"]');
+  const page = canonical ? canonical.href : location.href.split(/[?#]/)[0];
+  return end ? `${page}?start=${formatTime(start)}&end=${formatTime(end)}` : `${page}#t=${formatTime(start)}`;
+}
+
+// The page's built-in player, swapped in for the embed if need be
+function seekablePlayer() {
+  let player = document.querySelector('.audio-player');
+  if (!player) {
+    const embed = document.querySelector('.buzzsprout-player[data-audio]');
+    if (!embed) return null;
+    player = embedAudioPlayer(embed);
+    initAudioPlayer(player);
+  }
+  return player.playRange ? player : null;
+}
+
+function playMoment({ start, end }) {
+  const player = seekablePlayer();
+  if (!player) return false;
+  player.playRange(start, end);
+  player.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'nearest' });
+  return true;
+}
+
+// The transcript from `start` to `end` (or the paragraph playing at `start`), cut to `maxLength`
+function transcriptExcerpt(start, end, maxLength = 400) {
+  const paras = Array.from(document.querySelectorAll('.transcript-para')).map((para) => {
+    const text = para.cloneNode(true);
+    text.querySelectorAll('.transcript-time, .transcript-speaker').forEach(el => el.remove());
+    const speaker = para.querySelector('.transcript-speaker');
+    return {
+      start: Number(para.querySelector('.transcript-time').dataset.start),
+      text: `${speaker ? `${speaker.textContent.trim()}: ` : ''}${text.textContent.replace(/\s+/g, ' ').trim()}`,
+    };
+  });
+  const quote = paras
+    .filter((para, i) => para.start <= (end || start) && (i + 1 === paras.length || paras[i + 1].start > start))
+    .map(para => para.text)
+    .join(' ');
+  if (quote.length <= maxLength) return quote;
+  return `${quote.slice(0, maxLength).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * "Share this moment" under the player: copies a link to the current position,
+ * or to a start–end clip, optionally with the matching transcript quoted above it.
+ */
+function initShareMoment(container) {
+  const hasTranscript = Boolean(document.querySelector('.transcript-para'));
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'share-toggle';
+  toggle.textContent = 'Share this moment';
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.setAttribute('aria-controls', 'share-moment-panel');
+
+  const panel = document.createElement('div');
+  panel.className = 'share-panel';
+  panel.id = 'share-moment-panel';
+  panel.hidden = true;
+  panel.innerHTML = `
+    <div class="share-times">
+      <label>Start <input type="text" class="share-start" size="8" autocomplete="off"></label>
+      <label>End <input type="text" class="share-end" size="8" autocomplete="off" placeholder="optional"></label>
+    </div>
+    ${hasTranscript ? `<label class="share-include-quote"><input type="checkbox"> Quote the transcript</label>
+    <textarea class="share-quote" rows="4" aria-label="Quote to share" hidden></textarea>` : ''}
+    <div class="share-actions">
+      <input type="text" class="share-link" readonly aria-label="Link to this moment">
+      <button type="button" class="share-copy">Copy</button>
+    </div>
+    <p class="share-status" role="status"></p>`;
+
+  const startInput = panel.querySelector('.share-start');
+  const endInput = panel.querySelector('.share-end');
+  const quoteBox = panel.querySelector('.share-include-quote input');
+  const quote = panel.querySelector('.share-quote');
+  const linkField = panel.querySelector('.share-link');
+  const copyButton = panel.querySelector('.share-copy');
+  const status = panel.querySelector('.share-status');
+
+  const range = () => {
+    const start = parseTime(startInput.value);
+    const end = endInput.value.trim() ? parseTime(endInput.value) : null;
+    startInput.setAttribute('aria-invalid', !(start >= 0));
+    endInput.setAttribute('aria-invalid', end !== null && !(end > start));
+    return start >= 0 && (end === null || end > start) ? { start, end } : null;
+  };
+
+  const update = () => {
+    const moment = range();
+    linkField.value = moment ? momentLink(moment.start, moment.end) : '';
+    copyButton.disabled = !moment;
+    status.textContent = moment ? '' : 'Use times like 23:10, with the end after the start.';
+    if (quote) {
+      quote.hidden = !quoteBox.checked;
+      if (moment && quoteBox.checked) quote.value = transcriptExcerpt(moment.start, moment.end);
+    }
+  };
+
+  const setOpen = (open) => {
+    panel.hidden = !open;
+    toggle.setAttribute('aria-expanded', open);
+    if (!open) return;
+    // Wherever the listener is now, or the moment they arrived at
+    const audio = document.querySelector('.audio-player audio');
+    const arrived = momentFromURL(location);
+    startInput.value = formatTime(audio && audio.currentTime ? audio.currentTime : arrived ? arrived.start : 0);
+    endInput.value = '';
+    update();
+    startInput.focus();
+  };
+
+  toggle.addEventListener('click', () => setOpen(panel.hidden));
+  [startInput, endInput].forEach(input => input.addEventListener('input', update));
+  if (quoteBox) quoteBox.addEventListener('change', update);
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+      toggle.focus();
+    }
+  });
+
+  copyButton.addEventListener('click', () => {
+    const moment = range();
+    if (!moment) return;
+    const quoted = quote && quoteBox.checked && quote.value.trim();
+    const text = quoted
+      ? `“${quoted}”\n— ${container.dataset.title}, ${formatTime(moment.start)}\n${linkField.value}`
+      : linkField.value;
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(text) : Promise.reject(new Error('No clipboard'));
+    copied
+      .then(() => {
+        status.textContent = quoted ? 'Link and quote copied.' : 'Link copied.';
+      })
+      .catch(() => {
+        linkField.select();
+        status.textContent = 'Couldn’t copy automatically; the link is selected for you to copy.';
+      });
+  });
+
+  container.append(toggle, panel);
+  container.hidden = false;
+}
@@ -0,0 +1,95 @@
+// The machine-readable exports (api/, feed.json) for a fixture feed: valid
+// against api/schema.json, identical from build to build, and equal to the
+// snapshots in test/fixtures/api/. After an intended change (with API_VERSION
+// bumped if a field changed), refresh the snapshots with
+//   UPDATE_SNAPSHOTS=1 node --test test/
+// and review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const build = require('../build.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const SNAPSHOTS = path.join(FIXTURES, 'api');
+const SITE_URL = 'https://archive.example.com';
+
+build.useSiteConfig(path.join(FIXTURES, 'site.config.json'));
+
+// The steps build() takes from a parsed feed to the export files. Episode 1 was
+// once published as episodes/welcome.html.
+function exportFiles() {
+  const { podcastMeta, episodes: parsed } = build.parseFeed(fs.readFileSync(path.join(FIXTURES, 'feeds', 'api.rss'), 'utf-8'));
+  const { episodes } = build.mergeSources([{ name: 'main', episodes: parsed }]);
+  const { redirects } = build.assignSlugs(episodes, { episodes: { 'guid-1': { slug: '1', previous: ['welcome'] } } });
+  build.applyMetadata(episodes, { episodes: { 2: { guests: ['Jan Burl'], topics: ['Fatigue'] } } });
+  return {
+    ...build.generateApiFiles(episodes, podcastMeta, { siteUrl: SITE_URL, redirects }),
+    'feed.json': build.generateJSONFeed(episodes, podcastMeta, { siteUrl: SITE_URL }),
+  };
+}
+
+const files = exportFiles();
+const schema = JSON.parse(files['api/schema.json']);
+
+test('the same feed gives byte-identical files', () => {
+  assert.deepEqual(exportFiles(), files);
+});
+
+test('api/episodes.json and every episode document match the schema', () => {
+  assert.deepEqual(build.schemaErrors(JSON.parse(files['api/episodes.json']), schema, schema), []);
+  const documents = Object.keys(files).filter(relPath => relPath.startsWith('api/episodes/'));
+  assert.deepEqual(documents.sort(), ['api/episodes/1.json', 'api/episodes/2.json', 'api/episodes/bonus-listener-questions.json', 'api/episodes/trailer.json', 'api/episodes/welcome.json']);
+  for (const relPath of documents) {
+    assert.deepEqual(build.schemaErrors(JSON.parse(files[relPath]), schema.$defs.episodeDocument, schema), [], relPath);
+  }
+});
+
+test('the schema rejects records that drift from it', () => {
+  const index = JSON.parse(files['api/episodes.json']);
+  index.episodes[0].addedField = true;
+  index.episodes[1].durationSeconds = '3723';
+  delete index.episodes[2].guid;
+  index.version = 2;
+  assert.deepEqual(build.schemaErrors(index, schema, schema), [
+    '$.version: expected 3, got 2',
+    '$.episodes[0].addedField: not in the schema',
+    '$.episodes[1].durationSeconds: expected integer, got string',
+    '$.episodes[2].guid: missing',
+  ]);
+});
+
+test('an old slug answers with the episode\'s current record', () => {
+  assert.equal(files['api/episodes/welcome.json'], files['api/episodes/1.json']);
+});
+
+test('notes are exported sanitized, with a plain-text version', () => {
+  const [, second] = JSON.parse(files['api/episodes.json']).episodes;
+  assert.doesNotMatch(second.description, /script|onclick|Send us a text|Support the show|tracker/);
+  assert.equal(second.descriptionText, 'Jan Burl on fatigue. Notes at https://example.com/notes');
+  const feed = JSON.parse(files['feed.json']);
+  assert.doesNotMatch(files['feed.json'], /alert|onclick|tracker/);
+  assert.equal(feed.items[1].content_html, second.description);
+  assert.equal(feed.items[1].content_text, second.descriptionText);
+});
+
+test('an item without a pubDate exports a null date, and no date in feed.json or the CSV', () => {
+  const trailer = JSON.parse(files['api/episodes/trailer.json']).episode;
+  assert.equal(trailer.date, null);
+  assert.deepEqual(build.schemaErrors(trailer, schema.$defs.episode, schema), []);
+  assert.deepEqual(build.schemaErrors({ ...trailer, date: 'soon' }, schema.$defs.episode, schema), ['$.date: not a date-time']);
+  assert.equal('date_published' in JSON.parse(files['feed.json']).items[3], false);
+  assert.match(files['api/episodes.csv'], /^,1,Trailer,,60,/m);
+});
+
+for (const relPath of ['api/schema.json', 'api/episodes.json', 'api/episodes.csv', 'api/episodes/2.json', 'api/episodes/trailer.json', 'feed.json']) {
+  test(`${relPath} matches its snapshot`, () => {
+    const snapshot = path.join(SNAPSHOTS, relPath.replace(/^api\//, ''));
+    if (process.env.UPDATE_SNAPSHOTS) {
+      fs.mkdirSync(path.dirname(snapshot), { recursive: true });
+      fs.writeFileSync(snapshot, files[relPath]);
+    }
+    assert.equal(files[relPath], fs.readFileSync(snapshot, 'utf-8'));
+  });
+}
@@ -0,0 +1,82 @@
+// Feed parsing: the edge cases the regex scraping got wrong, and malformed
+// feeds, which must fail with the line and column of the problem.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseFeed } = require('../build.js');
+
+const FEEDS = path.join(__dirname, 'fixtures', 'feeds');
+const readFeed = name => fs.readFileSync(path.join(FEEDS, name), 'utf-8');
+
+test('channel metadata', () => {
+  const { podcastMeta } = parseFeed(readFeed('edge-cases.rss'));
+  assert.equal(podcastMeta.title, 'Survivor Science');
+  assert.equal(podcastMeta.description, 'Stroke recovery, <b>explained</b>.');
+  assert.equal(podcastMeta.image, 'https://example.com/show.jpg');
+  assert.deepEqual(podcastMeta.categories, [{ text: 'Health & Fitness', subcategories: ['Medicine'] }]);
+});
+
+test('items with attributes, entities and mixed CDATA', () => {
+  const [second, first] = parseFeed(readFeed('edge-cases.rss')).episodes;
+  assert.equal(second.fullTitle, '2. Surviving & Thriving: Don\'t Quit');
+  assert.equal(second.title, 'Surviving & Thriving: Don\'t Quit');
+  assert.equal(second.description, 'Before the CDATA <p>Inside <em>CDATA</em></p> and after it');
+  assert.equal(second.audioUrl, 'https://example.com/ep2.mp3?a=1&b=2');
+  assert.equal(second.guid, 'guid-2');
+  assert.equal(second.guidIsPermaLink, false);
+  assert.equal(second.season, '2');
+  assert.equal(second.duration, '1h 2m');
+
+  // CDATA keeps markup characters as text, and itunes:title doesn't shadow title
+  assert.equal(first.fullTitle, '1. Welcome <& Intro>');
+  assert.equal(first.episode, '1');
+  // No isPermaLink attribute means true
+  assert.equal(first.guidIsPermaLink, true);
+  assert.equal(first.duration, '30 min');
+  assert.equal(first.episodeImage, 'https://example.com/ep1.jpg');
+});
+
+test('Podcasting 2.0 tags under any prefix, including the old namespace URL', () => {
+  const [second, first] = parseFeed(readFeed('edge-cases.rss')).episodes;
+  assert.deepEqual(second.transcripts, [
+    { url: 'https://example.com/ep2.srt', type: 'application/srt', language: '' },
+    { url: 'https://example.com/ep2.json', type: 'application/json', language: 'en' },
+  ]);
+  assert.equal(second.chaptersUrl, 'https://example.com/ep2-chapters.json');
+  assert.deepEqual(first.transcripts, []);
+  assert.equal(first.chaptersUrl, '');
+});
+
+// fixture -> [message, line, column]
+const MALFORMED = {
+  'bare-ampersand.rss': ['unescaped "&"', 6, 19],
+  'duplicate-attribute.rss': ['duplicate attribute "url" in <enclosure>', 5, 67],
+  'second-root.rss': ['second root element <rss>', 7, 1],
+  'truncated.rss': ['unterminated markup', 6, 20],
+  'unclosed-item.rss': ['expected </item> (opened at line 5, column 5) but found </channel>', 7, 3],
+  'undeclared-prefix.rss': ['undeclared namespace prefix "podcast"', 6, 7],
+  'unknown-entity.rss': ['unknown entity "&nbsp;"', 4, 20],
+  'unquoted-attribute.rss': ['expected a quoted attribute in <enclosure>', 5, 17],
+};
+
+test('every malformed fixture has an expected error', () => {
+  assert.deepEqual(fs.readdirSync(path.join(FEEDS, 'malformed')).sort(), Object.keys(MALFORMED).sort());
+});
+
+for (const [name, [message, line, column]] of Object.entries(MALFORMED)) {
+  test(`malformed: ${name}`, () => {
+    assert.throws(() => parseFeed(readFeed(`malformed/${name}`)), (err) => {
+      assert.equal(err.message, `Malformed feed: ${message} at line ${line}, column ${column}`);
+      assert.equal(err.line, line);
+      assert.equal(err.column, column);
+      return true;
+    });
+  });
+}
+
+test('a well-formed document that isn\'t RSS', () => {
+  assert.throws(() => parseFeed('<feed xmlns="http://www.w3.org/2005/Atom"><title>x</title></feed>'), /Expected an RSS feed with <rss><channel>, found <feed>/);
+});
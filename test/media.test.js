@@ -0,0 +1,140 @@
+// Media mirroring against a local stand-in for the podcast host: retries,
+// resumed downloads, the manifest, and hosts that reuse file names.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { mirrorMedia, mirrorURL, loadMediaManifest, mediaFilename } = require('../build.js');
+
+const AUDIO = crypto.randomBytes(64 * 1024);
+const ARTWORK = crypto.randomBytes(2048);
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// Every request the server saw, as "METHOD path range"
+let requests = [];
+const seen = {};
+
+function sendBody(req, res, body) {
+  const range = (req.headers.range || '').match(/^bytes=(\d+)-$/);
+  if (range) {
+    const start = Number(range[1]);
+    res.writeHead(206, { 'Content-Length': body.length - start, 'Content-Range': `bytes ${start}-${body.length - 1}/${body.length}` });
+    return res.end(body.subarray(start));
+  }
+  res.writeHead(200, { 'Content-Length': body.length });
+  res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+  requests.push(`${req.method} ${req.url} ${req.headers.range || '-'}`);
+  seen[req.url] = (seen[req.url] || 0) + 1;
+  switch (req.url) {
+    // Busy the first time
+    case '/flaky/ep.mp3':
+      if (seen[req.url] === 1) {
+        res.writeHead(503);
+        return res.end();
+      }
+      return sendBody(req, res, AUDIO);
+    // Drops the connection a third of the way through the first time
+    case '/cut/ep.mp3':
+      if (seen[req.url] === 1) {
+        res.writeHead(200, { 'Content-Length': AUDIO.length });
+        res.write(AUDIO.subarray(0, 20000));
+        return setTimeout(() => res.destroy(), 50);
+      }
+      return sendBody(req, res, AUDIO);
+    case '/a/cover.jpg':
+    case '/b/cover.jpg':
+      return sendBody(req, res, Buffer.concat([ARTWORK, Buffer.from(req.url)]));
+    default:
+      res.writeHead(404);
+      return res.end();
+  }
+});
+
+let base;
+test.before(() => new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => {
+    base = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function tempMediaDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ss-media-'));
+}
+
+test('retries, resumes and records every file in the manifest', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  requests = [];
+  const mediaDir = tempMediaDir();
+  t.after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+  const episodes = [
+    { audioUrl: `${base}/flaky/ep.mp3`, episodeImage: `${base}/a/cover.jpg` },
+    { audioUrl: `${base}/cut/ep.mp3`, episodeImage: `${base}/b/cover.jpg` },
+    { audioUrl: `${base}/missing/ep.mp3`, episodeImage: '' },
+  ];
+  const manifest = loadMediaManifest(mediaDir);
+
+  const result = await mirrorMedia(episodes, mediaDir, manifest);
+  assert.deepEqual(result, { downloaded: 4, failed: 1, total: 5 });
+
+  // The 503 was retried, the cut download resumed where it stopped, and the 404 was not retried
+  assert.deepEqual(requests.filter(r => r.includes('/flaky/')), ['GET /flaky/ep.mp3 -', 'GET /flaky/ep.mp3 -']);
+  assert.deepEqual(requests.filter(r => r.includes('/cut/')), ['GET /cut/ep.mp3 -', 'GET /cut/ep.mp3 bytes=20000-']);
+  assert.deepEqual(requests.filter(r => r.includes('/missing/')), ['GET /missing/ep.mp3 -']);
+
+  const saved = loadMediaManifest(mediaDir);
+  assert.deepEqual(saved, manifest);
+  for (const url of [`${base}/flaky/ep.mp3`, `${base}/cut/ep.mp3`]) {
+    const relPath = `audio/${mediaFilename(url)}`;
+    assert.deepEqual(saved.files[relPath], { source: url, bytes: AUDIO.length, sha256: sha256(AUDIO) });
+    assert.ok(fs.readFileSync(path.join(mediaDir, relPath)).equals(AUDIO));
+    assert.ok(!fs.existsSync(path.join(mediaDir, `${relPath}.part`)));
+  }
+  // Same file name on two paths: two files, each with its own content
+  const covers = Object.keys(saved.files).filter(relPath => relPath.startsWith('images/'));
+  assert.equal(covers.length, 2);
+  assert.notEqual(saved.files[covers[0]].sha256, saved.files[covers[1]].sha256);
+  assert.equal(Object.keys(saved.files).some(relPath => relPath.includes('missing')), false);
+});
+
+test('a second run downloads nothing already mirrored', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const mediaDir = tempMediaDir();
+  t.after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+  const episodes = [{ audioUrl: `${base}/flaky/ep.mp3`, episodeImage: `${base}/a/cover.jpg` }];
+  await mirrorMedia(episodes, mediaDir, loadMediaManifest(mediaDir));
+
+  requests = [];
+  const result = await mirrorMedia(episodes, mediaDir, loadMediaManifest(mediaDir));
+  assert.deepEqual(result, { downloaded: 0, failed: 0, total: 2 });
+  assert.deepEqual(requests, []);
+});
+
+test('--mirror-base enclosures point at the mirrored file\'s path in the media directory', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const mediaDir = tempMediaDir();
+  t.after(() => fs.rmSync(mediaDir, { recursive: true, force: true }));
+  const url = `${base}/flaky/ep.mp3`;
+  await mirrorMedia([{ audioUrl: url, episodeImage: '' }], mediaDir, loadMediaManifest(mediaDir));
+
+  const [relPath] = Object.keys(loadMediaManifest(mediaDir).files);
+  assert.ok(fs.existsSync(path.join(mediaDir, relPath)));
+  assert.equal(mirrorURL(url, 'https://cdn.example.com/media/'), `https://cdn.example.com/media/${relPath}`);
+});
+
+test('mirrored file names keep the extension and differ per URL', () => {
+  const a = mediaFilename('https://example.com/a/ep.mp3');
+  const b = mediaFilename('https://example.com/b/ep.mp3');
+  assert.match(a, /^ep-[0-9a-f]{10}\.mp3$/);
+  assert.notEqual(a, b);
+  assert.match(mediaFilename('https://storage.buzzsprout.com/fjgenjo5r0nvz3oo0glkfr1togj4?.jpg'), /^fjgenjo5r0nvz3oo0glkfr1togj4-[0-9a-f]{10}\.jpg$/);
+});
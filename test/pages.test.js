@@ -0,0 +1,47 @@
+// Page fragments for feed items with missing or unparseable fields, which must
+// render without throwing or printing "Invalid Date" and "NaN".
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const build = require('../build.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+build.useSiteConfig(path.join(FIXTURES, 'site.config.json'));
+
+function undatedFeed() {
+  return build.parseFeed(fs.readFileSync(path.join(FIXTURES, 'feeds', 'undated.rss'), 'utf-8'));
+}
+
+test('episode cards leave the date empty for undated items', () => {
+  const { episodes } = undatedFeed();
+  const cards = Object.fromEntries(episodes.map(ep => [ep.guid, build.episodeCardHTML(ep)]));
+  for (const guid of ['guid-trailer', 'guid-outtakes']) {
+    assert.match(cards[guid], /data-date=""/, guid);
+    assert.match(cards[guid], /<time class="episode-date"><\/time>/, guid);
+    assert.doesNotMatch(cards[guid], /Invalid|NaN|undefined/, guid);
+  }
+  assert.match(cards['guid-1'], /data-date="2025-01-07"/);
+  assert.match(cards['guid-1'], /<time class="episode-date">Jan\. 7, 2025<\/time>/);
+});
+
+test('JSON-LD and the sitemap leave out dates undated items don\'t have', () => {
+  const { episodes } = undatedFeed();
+  const ld = Object.fromEntries(episodes.map(ep => [ep.guid, build.podcastEpisodeLd(ep, 'https://archive.example.com')]));
+  assert.equal('datePublished' in ld['guid-trailer'], false);
+  assert.equal('datePublished' in ld['guid-outtakes'], false);
+  assert.equal(ld['guid-1'].datePublished, '2025-01-07');
+
+  const sitemap = build.generateSitemap(episodes, 'https://archive.example.com');
+  assert.doesNotMatch(sitemap, /Invalid|NaN|<lastmod><\/lastmod>/);
+  assert.match(sitemap, /<loc>https:\/\/archive\.example\.com\/episodes\/trailer\.html<\/loc>\n {2}<\/url>/);
+  assert.match(sitemap, /<loc>https:\/\/archive\.example\.com\/episodes\/1\.html<\/loc>\n {4}<lastmod>2025-01-07<\/lastmod>/);
+  // Site pages take the newest dated episode's date
+  assert.match(sitemap, /<loc>https:\/\/archive\.example\.com\/episodes\.html<\/loc>\n {4}<lastmod>2025-01-07<\/lastmod>/);
+
+  const [trailer] = episodes.filter(ep => ep.guid === 'guid-trailer');
+  assert.doesNotMatch(build.generateSitemap([trailer], 'https://archive.example.com'), /<lastmod>/);
+});
@@ -0,0 +1,59 @@
+// The show-notes sanitizer against hostile HTML. Each fixture in
+// test/fixtures/show-notes/<case>.html must sanitize to <case>.expected.html.
+// Run with: node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { sanitizeShowNotes, boilerplatePatterns, plainText } = require('../build.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'show-notes');
+const cases = fs.readdirSync(FIXTURES).filter(name => !name.endsWith('.expected.html')).sort();
+
+for (const name of cases) {
+  const input = fs.readFileSync(path.join(FIXTURES, name), 'utf-8');
+  const expected = fs.readFileSync(path.join(FIXTURES, name.replace(/\.html$/, '.expected.html')), 'utf-8');
+
+  test(`sanitizes ${name}`, () => {
+    assert.equal(sanitizeShowNotes(input) + '\n', expected);
+  });
+
+  test(`nothing executable survives ${name}`, () => {
+    const html = sanitizeShowNotes(input);
+    assert.doesNotMatch(html, /<(script|style|iframe|svg|form|button|object)\b/i);
+    assert.doesNotMatch(html, /\son\w+\s*=/i);
+    assert.doesNotMatch(html, /\sstyle\s*=/i);
+    assert.doesNotMatch(html, /(href|src)="\s*(javascript|data|vbscript):/i);
+    assert.doesNotMatch(html, /(href|src)="(\/\/|\\)/);
+    for (const link of html.match(/<a\b[^>]*target="_blank"[^>]*>/g) || []) {
+      assert.match(link, /rel="noopener noreferrer"/);
+    }
+  });
+}
+
+test('the sanitizer is idempotent', () => {
+  for (const name of cases) {
+    const once = sanitizeShowNotes(fs.readFileSync(path.join(FIXTURES, name), 'utf-8'));
+    assert.equal(sanitizeShowNotes(once), once, name);
+  }
+});
+
+test('timestamps become seek links, but not inside links or times of day', () => {
+  const html = sanitizeShowNotes('<p>12:34 Fatigue, 1:02:03 wrap-up, call at 3:30 pm, <a href="https://example.com/10:00">10:00</a></p>', { timestamps: true });
+  assert.equal(html, '<p><a href="#t=12:34" class="timestamp-link" data-start="754">12:34</a> Fatigue, '
+    + '<a href="#t=1:02:03" class="timestamp-link" data-start="3723">1:02:03</a> wrap-up, call at 3:30 pm, '
+    + '<a href="https://example.com/10:00" target="_blank" rel="noopener noreferrer">10:00</a></p>');
+  assert.doesNotMatch(sanitizeShowNotes('<p>12:34 Fatigue</p>'), /timestamp-link/);
+});
+
+test('boilerplate patterns come from the config', () => {
+  const boilerplate = boilerplatePatterns(['Thanks for listening!?', 'Music by .+']);
+  const html = sanitizeShowNotes('<p>Thanks for listening</p><p>Real notes</p><p>Music by Someone</p><p>Send us a text</p>', { boilerplate });
+  assert.equal(html, '<p>Real notes</p><p>Send us a text</p>');
+});
+
+test('plain text of the sanitized notes keeps words apart and drops markup', () => {
+  const html = sanitizeShowNotes('<p>One<script>alert(1)</script></p><ul><li>Two</li><li>Three &amp; four</li></ul><blockquote>Five</blockquote>Six');
+  assert.equal(plainText(html), 'One Two Three & four Five Six');
+});